@@ -1,25 +1,12 @@
-// This is the Azure Functions entry point
-const { app } = require('@azure/functions');
-const express = require('express');
-const path = require('path');
+// This is the Azure Functions entry point. lib/ is copied next to it by `npm run build`.
+import { app } from '@azure/functions';
+import { createApp } from './lib/app.js';
+import { createAzureFunctionsHandler } from './lib/azure-functions-adapter.js';
 
-// Create an Express app
-const expressApp = express();
-
-// Middleware
-expressApp.use(express.json());
-
-expressApp.use(express.static(path.join(__dirname, '..', 'public')));
-
-expressApp.get('/api/message', (req, res) => {
-    res.json({ message: 'Hello from the API!' });
-});
-
-// Azure Functions handler
+// Every /api/* request goes through the same Express app as `npm start`
 app.http('index', {
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    handler: async (request, context) => {
-        context.log('HTTP function processed a request.');
-        return expressApp(request, context.res);
-    }
+    authLevel: 'anonymous',
+    route: '{*path}',
+    handler: createAzureFunctionsHandler(createApp())
 });
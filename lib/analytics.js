@@ -0,0 +1,203 @@
+/**
+ * Analytics
+ * Stores the events sent by static/js/analytics.js and aggregates them for the
+ * stats dashboard. Events carry no cookies, user agents or IP addresses: the
+ * client IP is only used in memory for rate limiting and is never written.
+ */
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createJsonlSink, createRateLimiter } from './contact.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const EVENT_TYPES = ['pageview', 'section', 'modal_open', 'outbound'];
+export const OUTBOUND_KINDS = ['linkedin', 'github', 'email', 'phone', 'other'];
+
+// Events accepted per request, matching the client's batch size
+const MAX_EVENTS = 20;
+
+// Paths, slugs, section ids and host names: short, printable and without spaces
+const TOKEN = /^[\w./:#@%+~-]{1,200}$/;
+
+const token = value => (typeof value === 'string' && TOKEN.test(value) ? value : undefined);
+
+/**
+ * Validate an event from the client and keep only the fields of its type
+ * @param {Object} event
+ * @returns {Object|null} Null when the event is not valid
+ */
+export function normalizeEvent(event) {
+    if (!event || typeof event !== 'object' || !EVENT_TYPES.includes(event.type)) return null;
+
+    const pagePath = token(event.path);
+    if (!pagePath || !pagePath.startsWith('/')) return null;
+
+    switch (event.type) {
+        case 'pageview':
+            return { type: 'pageview', path: pagePath, referrer: token(event.referrer) };
+        case 'section': {
+            const section = token(event.section);
+            return section ? { type: 'section', path: pagePath, section } : null;
+        }
+        case 'modal_open': {
+            const project = token(event.project);
+            return project ? { type: 'modal_open', path: pagePath, project } : null;
+        }
+        case 'outbound':
+            if (!OUTBOUND_KINDS.includes(event.kind)) return null;
+            // Only other sites are told apart by host; the named kinds need none
+            return {
+                type: 'outbound',
+                path: pagePath,
+                kind: event.kind,
+                host: event.kind === 'other' ? token(event.host) : undefined
+            };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Event store backed by a JSON lines file
+ * @param {string} filePath
+ * @returns {{ save: function(Object): Promise<void>, read: function(): Promise<Object[]> }}
+ */
+export function createEventStore(filePath) {
+    const sink = createJsonlSink(filePath);
+
+    return {
+        save: event => sink.save(event),
+
+        async read() {
+            let text;
+            try {
+                text = await readFile(filePath, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            // A line cut short by a crash must not hide the rest
+            return text.split('\n').flatMap(line => {
+                if (!line) return [];
+                try {
+                    return [JSON.parse(line)];
+                } catch {
+                    return [];
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Pick the event store from the environment: ANALYTICS_LOG_PATH, or data/events.jsonl
+ * @param {Object} [env=process.env]
+ * @returns {ReturnType<typeof createEventStore>}
+ */
+export function createEventStoreFromEnv(env = process.env) {
+    return createEventStore(path.resolve(rootDir, env.ANALYTICS_LOG_PATH || 'data/events.jsonl'));
+}
+
+/**
+ * Express handler for POST /api/events. Expects { events: [...] } parsed as JSON.
+ * Answers 503 while the store cannot save events.
+ * @param {Object} [options]
+ * @param {Object} [options.store] - See createEventStoreFromEnv()
+ * @param {Object} [options.rateLimiter] - See createRateLimiter()
+ * @returns {Function} Express request handler
+ */
+export function createEventsHandler({
+    store = createEventStoreFromEnv(),
+    rateLimiter = createRateLimiter({ limit: 120, windowMs: 60 * 1000 })
+} = {}) {
+    // Logged when the store starts failing, not on every beacon while it stays down
+    let storeFailing = false;
+
+    return async (req, res) => {
+        // Beacons are fire-and-forget, so excess ones are simply dropped
+        if (!rateLimiter.hit(req.ip || 'unknown').allowed) {
+            return res.status(204).end();
+        }
+
+        const events = req.body && req.body.events;
+        if (!Array.isArray(events) || events.length > MAX_EVENTS) {
+            return res.status(400).json({ ok: false, error: 'Expected up to 20 events.' });
+        }
+
+        try {
+            const receivedAt = new Date().toISOString();
+            for (const event of events.map(normalizeEvent).filter(Boolean)) {
+                await store.save({ receivedAt, ...event });
+            }
+            storeFailing = false;
+            res.status(204).end();
+        } catch (error) {
+            if (!storeFailing) req.log.error('Could not store the events', { error });
+            storeFailing = true;
+            res.status(503).json({ ok: false, error: 'Could not store the events.' });
+        }
+    };
+}
+
+/**
+ * Count values of one field, most frequent first
+ * @param {Object[]} events
+ * @param {string} field
+ * @returns {Array<{ name: string, count: number }>}
+ */
+function countBy(events, field) {
+    const counts = new Map();
+    for (const event of events) {
+        if (event[field] === undefined) continue;
+        counts.set(event[field], (counts.get(event[field]) || 0) + 1);
+    }
+    return [...counts]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name)));
+}
+
+/**
+ * Aggregate stored events for the dashboard
+ * @param {Object[]} events - See createEventStore()
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Length of the daily page view series
+ * @param {Date} [options.now]
+ * @returns {{
+ *   total: number,
+ *   pageviews: number,
+ *   daily: Array<{ day: string, count: number }>,
+ *   pages: Array<{ name: string, count: number }>,
+ *   referrers: Array<{ name: string, count: number }>,
+ *   sections: Array<{ name: string, count: number }>,
+ *   projects: Array<{ name: string, count: number }>,
+ *   outbound: Array<{ name: string, count: number }>
+ * }}
+ */
+export function summarizeEvents(events, { days = 30, now = new Date() } = {}) {
+    const ofType = type => events.filter(event => event.type === type);
+    const pageviews = ofType('pageview');
+
+    const perDay = new Map(countBy(
+        pageviews.map(event => ({ day: String(event.receivedAt).slice(0, 10) })),
+        'day'
+    ).map(({ name, count }) => [name, count]));
+
+    const daily = [];
+    for (let offset = days - 1; offset >= 0; offset--) {
+        const day = new Date(now.getTime() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        daily.push({ day, count: perDay.get(day) || 0 });
+    }
+
+    return {
+        total: events.length,
+        pageviews: pageviews.length,
+        daily,
+        pages: countBy(pageviews, 'path'),
+        referrers: countBy(pageviews, 'referrer'),
+        sections: countBy(ofType('section'), 'section'),
+        projects: countBy(ofType('modal_open'), 'project'),
+        outbound: countBy(ofType('outbound'), 'kind')
+    };
+}
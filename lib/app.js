@@ -0,0 +1,339 @@
+/**
+ * Express application
+ * Routes, middleware and security headers shared by the local server (server.js)
+ * and the Azure Functions API (api/index.js)
+ */
+import express from 'express';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import helmet from 'helmet';
+import compression from 'compression';
+import { createEventStoreFromEnv, createEventsHandler, summarizeEvents } from './analytics.js';
+import { createAssetResolver, getAssetManifest } from './assets.js';
+import { requireAdmin } from './auth.js';
+import { DEFAULT_LOCALE, LOCALES, getLocales, localeFromPath, localizedPath, preferredLocale } from './i18n.js';
+import { createLogger, requestLogger } from './logger.js';
+import { getProjects } from './projects.js';
+import { createContactHandler } from './contact.js';
+import { renderDocument, renderHome, renderNotFound, renderProject } from './render.js';
+import { ADMIN_STATS_PATH, API_PREFIX, API_ROUTES, DOCUMENTS, HEALTH_PATH, READY_PATH, SECTIONS } from './routes.js';
+import { getSite } from './site.js';
+import renderStats from '../templates/admin-stats.js';
+import {
+    REPORT_PATH,
+    applyNonce,
+    createCspReportHandler,
+    createNonce,
+    cspDirectives,
+    reportingEndpoints
+} from './csp.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const oneYear = 31536000;
+
+// Helmet resolves function sources per request
+const nonceSource = (req, res) => `'nonce-${res.locals.cspNonce}'`;
+
+// Matches the prefix of the pages in languages other than the default, e.g. /zu
+const localePrefix = `/:locale(${LOCALES.filter(locale => locale !== DEFAULT_LOCALE).join('|')})`;
+
+/**
+ * Send pages without a locale prefix on to the visitor's language. The answer
+ * depends on the headers, so caches are told to keep the variants apart.
+ */
+function redirectToPreferredLocale(req, res, next) {
+    res.vary('Accept-Language').vary('Cookie');
+    const locale = preferredLocale(req);
+    if (locale === DEFAULT_LOCALE) return next();
+
+    const query = req.originalUrl.slice(req.originalUrl.split('?')[0].length);
+    res.redirect(302, localizedPath(req.path === '/index.html' ? '/' : req.path, locale) + query);
+}
+
+// Shown when a page fails; it depends on nothing that could have failed with it
+const ERROR_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta name="robots" content="noindex">
+    <title>Something went wrong</title>
+</head>
+<body>
+    <h1>Something went wrong</h1>
+    <p>Please try again in a moment, or go back to the <a href="/">home page</a>.</p>
+</body>
+</html>
+`;
+
+/**
+ * @param {Error} err
+ * @returns {number} The HTTP status an error calls for, 500 unless it names a 4xx or 5xx
+ */
+function errorStatus(err) {
+    const status = err.status || err.statusCode;
+    return Number.isInteger(status) && status >= 400 && status < 600 ? status : 500;
+}
+
+/**
+ * Send an HTML page with the request's CSP nonce on its inline blocks
+ * @param {import('express').Response} res
+ * @param {string} html - The page
+ * @param {number} [status=200]
+ */
+function sendPage(res, html, status = 200) {
+    res.status(status)
+        .set({
+            // A nonce must never be reused, so pages are not stored by any cache
+            'Cache-Control': 'no-cache, no-store, must-revalidate',
+            'Pragma': 'no-cache',
+            'Expires': '0'
+        })
+        .type('html')
+        .send(applyNonce(html, res.locals.cspNonce));
+}
+
+/**
+ * Create the Express application
+ * @param {Object} [options]
+ * @param {string} [options.publicDir] - Directory served as the site root
+ * @param {Object} [options.logger] - See createLogger()
+ * @returns {import('express').Express} Set app.locals.draining to fail the readiness probe
+ */
+export function createApp({ publicDir = path.join(rootDir, 'public'), logger = createLogger() } = {}) {
+    const app = express();
+    app.locals.draining = false;
+
+    // Access log with a request ID, see lib/logger.js
+    app.use(requestLogger(logger, { quietPaths: [HEALTH_PATH, READY_PATH] }));
+
+    // Fresh nonce for the inline scripts and styles of this response
+    app.use((req, res, next) => {
+        res.locals.cspNonce = createNonce();
+        res.set('Reporting-Endpoints', reportingEndpoints());
+        next();
+    });
+
+    // Set security headers
+    app.use(helmet({
+        contentSecurityPolicy: {
+            useDefaults: false,
+            directives: cspDirectives({ scriptSrc: [nonceSource], styleSrc: [nonceSource] })
+        },
+        hsts: {
+            maxAge: oneYear,
+            includeSubDomains: true,
+            preload: true
+        },
+        frameguard: { action: 'deny' },
+        noSniff: true,
+        xssFilter: true
+    }));
+
+    // Enable gzip compression
+    app.use(compression());
+
+    // Liveness: the process is up and answering
+    app.get(HEALTH_PATH, (req, res) => {
+        res.set('Cache-Control', 'no-store').json({ status: 'ok' });
+    });
+
+    // Readiness: the content, the translations and the build can be loaded, and the server is not shutting down
+    app.get(READY_PATH, async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+        if (app.locals.draining) {
+            return res.status(503).json({ status: 'draining' });
+        }
+
+        try {
+            await Promise.all([getSite(), getProjects(), getAssetManifest(), getLocales()]);
+            res.json({ status: 'ready' });
+        } catch (error) {
+            req.log.warn('Not ready', { error });
+            res.status(503).json({ status: 'unavailable' });
+        }
+    });
+
+    // Server-rendered pages, in the language of their path prefix
+    const sendHome = async (req, res, next) => {
+        try {
+            const locale = req.params.locale || DEFAULT_LOCALE;
+            res.set('Content-Language', locale);
+            sendPage(res, await renderHome(locale));
+        } catch (error) {
+            next(error);
+        }
+    };
+    const sendProject = async (req, res, next) => {
+        try {
+            const locale = req.params.locale || DEFAULT_LOCALE;
+            const html = await renderProject(req.params.slug, locale);
+            res.set('Content-Language', locale);
+            if (html) {
+                sendPage(res, html);
+            } else {
+                sendPage(res, await renderNotFound(locale), 404);
+            }
+        } catch (error) {
+            next(error);
+        }
+    };
+
+    // HTML pages are never served straight from disk, see sendPage()
+    app.get(['/', '/index.html'], redirectToPreferredLocale, sendHome);
+    app.get(localePrefix, sendHome);
+    app.get('/projects/:slug', redirectToPreferredLocale, sendProject);
+    app.get(`${localePrefix}/projects/:slug`, sendProject);
+    app.get('/404.html', async (req, res, next) => {
+        try {
+            sendPage(res, await renderNotFound());
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // The CV as PDF and JSON Resume, rendered from the same content as the pages
+    DOCUMENTS.forEach(({ route, document, type }) => app.get(route, async (req, res, next) => {
+        try {
+            const body = await renderDocument(document);
+            res.set('Cache-Control', 'public, max-age=0, must-revalidate').type(type).send(body);
+        } catch (error) {
+            next(error);
+        }
+    }));
+
+    // Old single-page paths point at their section of the home page
+    SECTIONS.forEach(section => app.get(`/${section}`, (req, res) => res.redirect(301, `/#${section}`)));
+
+    // Set cache control headers
+    app.use(express.static(publicDir, {
+        index: false,
+        // In milliseconds, unlike the headers below
+        maxAge: oneYear * 1000,
+        setHeaders: (res, filePath) => {
+            // The service worker and manifest keep their names, so browsers must always revalidate them
+            if (filePath.endsWith(`${path.sep}sw.js`) || filePath.endsWith('manifest.json')) {
+                res.setHeader('Cache-Control', 'no-cache');
+            } else if (filePath.endsWith('.html')) {
+                res.setHeader('Cache-Control', 'public, max-age=0');
+            } else if (filePath.endsWith('.svg')) {
+                res.setHeader('Content-Type', 'image/svg+xml');
+                res.setHeader('Cache-Control', `public, max-age=${oneYear}, immutable`);
+            } else if (filePath.endsWith('.ico')) {
+                res.setHeader('Content-Type', 'image/x-icon');
+                res.setHeader('Cache-Control', `public, max-age=${oneYear}, immutable`);
+            } else if (filePath.match(/\.(js|css)$/)) {
+                res.setHeader('Cache-Control', `public, max-age=${oneYear}, immutable`);
+            }
+        }
+    }));
+
+    app.get('/api/message', (req, res) => {
+        res.json({ message: 'Hello from the API!' });
+    });
+
+    // Project catalog API
+    app.get('/api/projects', async (req, res, next) => {
+        try {
+            res.set('Cache-Control', 'public, max-age=0, must-revalidate');
+            res.json({ projects: await getProjects() });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Contact form submissions
+    app.post(
+        '/api/contact',
+        express.json({ limit: '10kb' }),
+        express.urlencoded({ extended: false, limit: '10kb' }),
+        createContactHandler()
+    );
+
+    // Analytics beacons, see static/js/analytics.js
+    const eventStore = createEventStoreFromEnv();
+    app.post(
+        '/api/events',
+        // sendBeacon may send the JSON as text/plain
+        express.json({ type: ['application/json', 'text/plain'], limit: '16kb' }),
+        createEventsHandler({ store: eventStore })
+    );
+
+    // Stats dashboard, only when ADMIN_PASSWORD is set. Static Web Apps rewrites it to /api.
+    app.get([ADMIN_STATS_PATH, `${API_PREFIX}admin/stats`], requireAdmin(), async (req, res, next) => {
+        try {
+            const [site, projects, events, manifest] = await Promise.all([
+                getSite(), getProjects(), eventStore.read(), getAssetManifest()
+            ]);
+            res.set('X-Robots-Tag', 'noindex, nofollow');
+            sendPage(res, renderStats({ site, projects, stats: summarizeEvents(events), asset: createAssetResolver(manifest) }));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // CSP violation reports, in both the report-uri and Reporting API formats
+    app.post(
+        REPORT_PATH,
+        express.json({ type: ['application/json', 'application/csp-report', 'application/reports+json'], limit: '64kb' }),
+        createCspReportHandler()
+    );
+
+    // Unknown API paths and methods are answered in JSON rather than with the 404 page
+    app.use(API_PREFIX, (req, res) => {
+        const methods = API_ROUTES[req.originalUrl.split('?')[0]];
+        // A known path reaches this point with an allowed method only when its route is disabled
+        if (methods && !methods.includes(req.method)) {
+            res.set('Allow', methods.join(', ')).status(405).json({ ok: false, error: 'Method not allowed.' });
+        } else {
+            res.status(404).json({ ok: false, error: 'Not found.' });
+        }
+    });
+
+    // Everything else that is not a page or a file in publicDir
+    app.use(async (req, res, next) => {
+        try {
+            const locale = localeFromPath(req.path) || preferredLocale(req);
+            res.vary('Accept-Language').vary('Cookie').set('Content-Language', locale);
+            sendPage(res, await renderNotFound(locale), 404);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    app.use((err, req, res, next) => {
+        const status = errorStatus(err);
+        if (status < 500) {
+            // Bad requests are the client's doing, and their message can quote what was sent
+            req.log.warn('Request rejected', { status, error: { name: err.name, code: err.code, type: err.type } });
+        } else {
+            req.log.error('Request failed', { error: err });
+        }
+        next(err);
+    });
+
+    // API errors are reported as JSON
+    app.use('/api', (err, req, res, next) => {
+        if (res.headersSent) return next(err);
+        res.status(errorStatus(err)).json({ ok: false, error: 'Something went wrong.' });
+    });
+
+    // Pages get the 404 page for bad requests such as a malformed path, and a plain page otherwise
+    app.use(async (err, req, res, next) => {
+        if (res.headersSent) return next(err);
+
+        const status = errorStatus(err);
+        if (status < 500) {
+            try {
+                const locale = localeFromPath(req.path) || preferredLocale(req);
+                res.vary('Accept-Language').vary('Cookie').set('Content-Language', locale);
+                return sendPage(res, await renderNotFound(locale), status);
+            } catch (error) {
+                req.log.error('Could not render the 404 page', { error });
+            }
+        }
+        sendPage(res, ERROR_PAGE, status < 500 ? status : 500);
+    });
+
+    return app;
+}
@@ -0,0 +1,29 @@
+/**
+ * Built assets
+ * Resolves source asset paths to the content-hashed files written by scripts/build.js
+ */
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { cachedByMtime, readJson } from './content.js';
+
+const manifestPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'static', 'asset-manifest.json');
+
+/**
+ * Get the asset manifest, reloading it after every build
+ * @returns {Promise<Object>} Map of source paths (e.g. "js/main.js") to hashed paths
+ */
+export const getAssetManifest = cachedByMtime(manifestPath, () => readJson(manifestPath));
+
+/**
+ * Create a resolver from source asset paths to URLs
+ * @param {Object} manifest - See getAssetManifest()
+ * @returns {function(string): string} e.g. "js/main.js" -> "/static/js/main.AC364RWA.min.js"
+ */
+export function createAssetResolver(manifest) {
+    return source => {
+        if (!manifest[source]) {
+            throw new Error(`Unknown asset "${source}", run npm run build`);
+        }
+        return `/static/${manifest[source]}`;
+    };
+}
@@ -0,0 +1,64 @@
+/**
+ * Admin authentication
+ * HTTP Basic authentication with a single password from the environment, for
+ * the few private pages such as the stats dashboard. Any user name is accepted.
+ */
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createRateLimiter } from './contact.js';
+
+const digest = value => createHash('sha256').update(value, 'utf8').digest();
+
+/**
+ * Read the password from an Authorization: Basic header
+ * @param {string} [header]
+ * @returns {string|null}
+ */
+function basicPassword(header) {
+    const match = /^Basic\s+([A-Za-z0-9+/=]+)$/i.exec(header || '');
+    if (!match) return null;
+
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    return separator === -1 ? null : credentials.slice(separator + 1);
+}
+
+/**
+ * Express middleware that requires the admin password. Without a password the
+ * protected routes are skipped, so they answer 404 as if they did not exist.
+ * @param {Object} [options]
+ * @param {string} [options.password] - Defaults to ADMIN_PASSWORD
+ * @param {string} [options.realm='Admin']
+ * @param {Object} [options.rateLimiter] - Limits failed sign-in attempts, see createRateLimiter()
+ * @returns {Function} Express middleware
+ */
+export function requireAdmin({
+    password = process.env.ADMIN_PASSWORD,
+    realm = 'Admin',
+    rateLimiter = createRateLimiter({ limit: 30, windowMs: 15 * 60 * 1000 })
+} = {}) {
+    const expected = password ? digest(password) : null;
+
+    return (req, res, next) => {
+        if (!expected) return next('route');
+
+        res.set('Cache-Control', 'no-store');
+
+        const given = basicPassword(req.get('authorization'));
+        if (given !== null) {
+            // Only wrong passwords are counted, but once they reach the limit the right one is refused too
+            const key = req.ip || 'unknown';
+            const { allowed, retryAfter } = rateLimiter.check(key);
+            if (!allowed) {
+                return res.set('Retry-After', String(retryAfter)).status(429).type('text').send('Too many attempts.');
+            }
+            // Comparing digests keeps the comparison constant-time whatever the length
+            if (timingSafeEqual(digest(given), expected)) return next();
+            rateLimiter.hit(key);
+        }
+
+        res.set('WWW-Authenticate', `Basic realm="${realm}", charset="UTF-8"`)
+            .status(401)
+            .type('text')
+            .send('Authentication required.');
+    };
+}
@@ -0,0 +1,124 @@
+/**
+ * Azure Functions adapter
+ * Runs an Express app inside an Azure Functions v4 HTTP trigger by turning the
+ * Functions HttpRequest into a Node request and collecting the Node response
+ * into the HttpResponseInit the host expects
+ */
+import { IncomingMessage, ServerResponse } from 'node:http';
+import { Socket } from 'node:net';
+
+/**
+ * Build a Node IncomingMessage from a Functions v4 HttpRequest
+ * @param {import('@azure/functions').HttpRequest} request
+ * @returns {Promise<IncomingMessage>}
+ */
+export async function toIncomingMessage(request) {
+    const url = new URL(request.url);
+    const headers = Object.fromEntries(request.headers.entries());
+    // Only the last entry is added by the platform, the ones before it come from the client
+    const forwardedFor = (headers['x-forwarded-for'] || '').split(',').pop().trim();
+
+    // The socket is never connected, it only carries the client address Express reads for req.ip
+    const socket = new Socket();
+    Object.defineProperty(socket, 'remoteAddress', { value: forwardedFor || '127.0.0.1' });
+
+    const req = new IncomingMessage(socket);
+    req.method = request.method;
+    req.url = `${url.pathname}${url.search}`;
+    req.headers = headers;
+    req.rawHeaders = [...request.headers.entries()].flat();
+
+    const body = ['GET', 'HEAD'].includes(request.method)
+        ? null
+        : Buffer.from(await request.arrayBuffer());
+    if (body && body.length > 0) {
+        req.headers['content-length'] = String(body.length);
+        req.push(body);
+    }
+    req.push(null);
+
+    return req;
+}
+
+/**
+ * Collect everything written to a ServerResponse instead of sending it over a socket
+ * @param {IncomingMessage} req
+ * @returns {{ res: ServerResponse, done: Promise<import('@azure/functions').HttpResponseInit> }}
+ */
+export function createCollectingResponse(req) {
+    const res = new ServerResponse(req);
+    const chunks = [];
+    let ended = false;
+
+    const collect = (chunk, encoding) => {
+        if (chunk === undefined || chunk === null || typeof chunk === 'function') return;
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    };
+
+    const done = new Promise((resolve) => {
+        res.write = (chunk, encoding, callback) => {
+            collect(chunk, encoding);
+            const cb = typeof encoding === 'function' ? encoding : callback;
+            if (cb) process.nextTick(cb);
+            return true;
+        };
+
+        res.end = (chunk, encoding, callback) => {
+            if (ended) return res;
+            ended = true;
+            collect(chunk, encoding);
+            if (!res.headersSent) res.writeHead(res.statusCode);
+
+            res.finished = true;
+            const cb = [chunk, encoding, callback].find(arg => typeof arg === 'function');
+            if (cb) process.nextTick(cb);
+
+            resolve({
+                status: res.statusCode,
+                headers: toHeaderTuples(res.getHeaders()),
+                body: req.method === 'HEAD' ? undefined : Buffer.concat(chunks)
+            });
+            process.nextTick(() => res.emit('finish'));
+            return res;
+        };
+    });
+
+    // writeHead would otherwise try to flush the header block to the socket
+    res._send = () => true;
+    res._writeRaw = () => true;
+
+    return { res, done };
+}
+
+/**
+ * Flatten Node response headers into tuples, keeping repeated headers such as Set-Cookie
+ * @param {Object} headers - Result of res.getHeaders()
+ * @returns {Array<[string, string]>}
+ */
+function toHeaderTuples(headers) {
+    return Object.entries(headers).flatMap(([name, value]) =>
+        Array.isArray(value)
+            ? value.map(item => [name, String(item)])
+            : [[name, String(value)]]
+    );
+}
+
+/**
+ * Wrap an Express app as an Azure Functions v4 HTTP handler
+ * @param {import('express').Express} app
+ * @returns {(request: import('@azure/functions').HttpRequest, context: import('@azure/functions').InvocationContext) => Promise<import('@azure/functions').HttpResponseInit>}
+ */
+export function createAzureFunctionsHandler(app) {
+    return async (request, context) => {
+        const req = await toIncomingMessage(request);
+        const { res, done } = createCollectingResponse(req);
+
+        // The invocation ID ties the access log line to the Functions invocation
+        if (!req.headers['x-request-id'] && context.invocationId) {
+            req.headers['x-request-id'] = context.invocationId;
+        }
+        app(req, res);
+
+        return done;
+    };
+}
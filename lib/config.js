@@ -0,0 +1,47 @@
+/**
+ * Server configuration
+ * Read from the environment so the server can run under a process manager or in a container:
+ * - PORT: port to listen on (default 3000)
+ * - HOST: address to bind (default 0.0.0.0)
+ * - LOG_LEVEL: error, warn, info (default), debug or silent, see lib/logger.js
+ * - SHUTDOWN_TIMEOUT_MS: how long in-flight requests get to finish on SIGTERM (default 10000)
+ */
+import { LEVELS } from './logger.js';
+
+/**
+ * Parse a whole number from the environment
+ * @param {Object} env
+ * @param {string} name
+ * @param {number} fallback
+ * @param {number} [max]
+ * @returns {number}
+ */
+function integer(env, name, fallback, max = Number.MAX_SAFE_INTEGER) {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > max) {
+        throw new Error(`Invalid ${name} "${value}", expected a whole number up to ${max}`);
+    }
+    return number;
+}
+
+/**
+ * Load the server configuration, throwing on invalid values
+ * @param {Object} [env=process.env]
+ * @returns {{ port: number, host: string, logLevel: string, shutdownTimeoutMs: number }}
+ */
+export function loadConfig(env = process.env) {
+    const logLevel = env.LOG_LEVEL || 'info';
+    if (!(logLevel in LEVELS)) {
+        throw new Error(`Invalid LOG_LEVEL "${logLevel}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    return {
+        port: integer(env, 'PORT', 3000, 65535),
+        host: env.HOST || '0.0.0.0',
+        logLevel,
+        shutdownTimeoutMs: integer(env, 'SHUTDOWN_TIMEOUT_MS', 10000)
+    };
+}
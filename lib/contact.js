@@ -0,0 +1,238 @@
+/**
+ * Contact form
+ * Validation, spam protection and storage for messages posted to /api/contact
+ */
+import { appendFile, mkdir } from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DEFAULT_LOCALE, LOCALES, getTranslator } from './i18n.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Field limits, mirrored by the maxlength attributes on the form
+export const LIMITS = {
+    name: 100,
+    email: 254,
+    message: 5000,
+    minMessage: 10
+};
+
+// Hidden field that people never see and bots tend to fill in
+export const HONEYPOT_FIELD = 'website';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate a contact form submission
+ * @param {Object} body - Parsed request body
+ * @param {function(string, Object=): string} t - Translates the error messages, see lib/i18n.js
+ * @returns {{ value: Object, errors: Object }} Trimmed fields and per-field error messages
+ */
+export function validateContact(body = {}, t) {
+    const field = key => (typeof body[key] === 'string' ? body[key].trim() : '');
+    const value = {
+        name: field('name'),
+        email: field('email'),
+        message: field('message')
+    };
+    const errors = {};
+
+    if (!value.name) {
+        errors.name = t('contact.errors.nameRequired');
+    } else if (value.name.length > LIMITS.name) {
+        errors.name = t('contact.errors.nameTooLong', { max: LIMITS.name });
+    }
+
+    if (!value.email) {
+        errors.email = t('contact.errors.emailRequired');
+    } else if (value.email.length > LIMITS.email || !EMAIL_PATTERN.test(value.email)) {
+        errors.email = t('contact.errors.emailInvalid');
+    }
+
+    if (value.message.length < LIMITS.minMessage) {
+        errors.message = t('contact.errors.messageTooShort', { min: LIMITS.minMessage });
+    } else if (value.message.length > LIMITS.message) {
+        errors.message = t('contact.errors.messageTooLong', { max: LIMITS.message });
+    }
+
+    return { value, errors };
+}
+
+/**
+ * Create a fixed-window rate limiter keyed by client IP
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Requests allowed per window
+ * @param {number} [options.windowMs=900000] - Window length in milliseconds
+ * @returns {{ hit: function(string): { allowed: boolean, retryAfter: number }, check: function(string): { allowed: boolean, retryAfter: number } }}
+ *   hit() counts a request, check() tells whether one more would be allowed without counting it
+ */
+export function createRateLimiter({ limit = 5, windowMs = 15 * 60 * 1000 } = {}) {
+    const hits = new Map();
+
+    const entryFor = (key, now) => {
+        let entry = hits.get(key);
+        if (!entry || now >= entry.resetAt) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+
+        // Drop expired entries so the map does not grow without bound
+        if (hits.size > 1000) {
+            for (const [k, v] of hits) {
+                if (now >= v.resetAt) hits.delete(k);
+            }
+        }
+
+        return entry;
+    };
+
+    return {
+        hit(key, now = Date.now()) {
+            const entry = entryFor(key, now);
+            entry.count++;
+            return {
+                allowed: entry.count <= limit,
+                retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+            };
+        },
+
+        check(key, now = Date.now()) {
+            const entry = entryFor(key, now);
+            return {
+                allowed: entry.count < limit,
+                retryAfter: Math.ceil((entry.resetAt - now) / 1000)
+            };
+        }
+    };
+}
+
+/**
+ * Sink that appends each message as a line of JSON to a local file
+ * @param {string} filePath - Where to write the messages
+ * @returns {{ save: function(Object): Promise<void> }}
+ */
+export function createJsonlSink(filePath) {
+    return {
+        async save(message) {
+            await mkdir(path.dirname(filePath), { recursive: true });
+            await appendFile(filePath, `${JSON.stringify(message)}\n`, 'utf8');
+        }
+    };
+}
+
+/**
+ * Sink that emails each message through an SMTP server. Needs the optional
+ * nodemailer package, which is only loaded when this sink is used.
+ * @param {Object} options
+ * @param {Object} options.transport - nodemailer SMTP transport options
+ * @param {string} options.to - Recipient address
+ * @param {string} [options.from] - Sender address, defaults to the recipient
+ * @returns {{ save: function(Object): Promise<void> }}
+ */
+export function createSmtpSink({ transport, to, from = to }) {
+    let transporterPromise = null;
+
+    return {
+        async save(message) {
+            if (!transporterPromise) {
+                transporterPromise = import('nodemailer')
+                    .then(({ default: nodemailer }) => nodemailer.createTransport(transport));
+            }
+
+            const transporter = await transporterPromise;
+            await transporter.sendMail({
+                from,
+                to,
+                replyTo: `${message.name} <${message.email}>`,
+                subject: `Portfolio contact from ${message.name}`,
+                text: message.message
+            });
+        }
+    };
+}
+
+/**
+ * Pick the message sink from the environment
+ * CONTACT_SINK=smtp uses SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, CONTACT_TO and CONTACT_FROM;
+ * anything else writes to CONTACT_LOG_PATH (data/messages.jsonl by default).
+ * @param {Object} [env=process.env]
+ * @returns {{ save: function(Object): Promise<void> }}
+ */
+export function createSinkFromEnv(env = process.env) {
+    if (env.CONTACT_SINK === 'smtp') {
+        return createSmtpSink({
+            transport: {
+                host: env.SMTP_HOST,
+                port: Number(env.SMTP_PORT) || 587,
+                secure: Number(env.SMTP_PORT) === 465,
+                auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+            },
+            to: env.CONTACT_TO,
+            from: env.CONTACT_FROM
+        });
+    }
+
+    return createJsonlSink(path.resolve(rootDir, env.CONTACT_LOG_PATH || 'data/messages.jsonl'));
+}
+
+/**
+ * Express handler for POST /api/contact. Answers 503 while the sink cannot store messages.
+ * @param {Object} [options]
+ * @param {Object} [options.sink] - Where to store messages, see createSinkFromEnv()
+ * @param {Object} [options.rateLimiter] - See createRateLimiter()
+ * @returns {Function} Express request handler
+ */
+export function createContactHandler({
+    sink = createSinkFromEnv(),
+    rateLimiter = createRateLimiter()
+} = {}) {
+    // Logged when the sink starts failing, not on every message while it stays down
+    let sinkFailing = false;
+
+    return async (req, res, next) => {
+        const body = req.body || {};
+
+        // Pretend the honeypot submission went through so bots do not retry. Checked
+        // first, so bots do not use up the quota of people who share their address.
+        if (body[HONEYPOT_FIELD]) {
+            return res.status(202).json({ ok: true });
+        }
+
+        let t;
+        try {
+            // The form sends the language of the page it is on
+            t = await getTranslator(req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE);
+        } catch (error) {
+            return next(error);
+        }
+
+        const { allowed, retryAfter } = rateLimiter.hit(req.ip || 'unknown');
+        if (!allowed) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                ok: false,
+                error: t('contact.errors.tooMany')
+            });
+        }
+
+        const { value, errors } = validateContact(body, t);
+        if (Object.keys(errors).length > 0) {
+            return res.status(400).json({ ok: false, errors });
+        }
+
+        try {
+            await sink.save({
+                id: randomUUID(),
+                receivedAt: new Date().toISOString(),
+                ...value
+            });
+            sinkFailing = false;
+            res.status(202).json({ ok: true });
+        } catch (error) {
+            if (!sinkFailing) req.log.error('Could not store the message', { error });
+            sinkFailing = true;
+            res.status(503).json({ ok: false, error: t('contact.failed') });
+        }
+    };
+}
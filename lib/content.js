@@ -0,0 +1,63 @@
+/**
+ * Content files
+ * Shared loading for the JSON files in content/: schema validation and
+ * in-memory caching that follows edits to the file
+ */
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Ajv from 'ajv';
+
+export const contentDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'content');
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath - Absolute path to the file
+ * @returns {Promise<*>} Parsed JSON
+ */
+export async function readJson(filePath) {
+    return JSON.parse(await readFile(filePath, 'utf8'));
+}
+
+/**
+ * Load a JSON file, throwing if it does not match its schema
+ * @param {string} filePath - File to load
+ * @param {string} schemaPath - JSON schema the file must match
+ * @param {string} label - What the file holds, used in error messages
+ * @returns {Promise<*>} Validated data
+ */
+export async function loadValidatedJson(filePath, schemaPath, label) {
+    const [data, schema] = await Promise.all([readJson(filePath), readJson(schemaPath)]);
+    const validate = new Ajv({ allErrors: true }).compile(schema);
+
+    if (!validate(data)) {
+        const details = validate.errors
+            .map(error => `  ${error.instancePath || '/'} ${error.message}`)
+            .join('\n');
+        throw new Error(`Invalid ${label} ${path.relative(process.cwd(), filePath)}:\n${details}`);
+    }
+
+    return data;
+}
+
+/**
+ * Cache the result of loading a file until the file's modification time changes
+ * @param {string} filePath - File to watch
+ * @param {function(): Promise<*>} load - Loads the file
+ * @returns {function(): Promise<*>} Returns the cached value, reloading after edits
+ */
+export function cachedByMtime(filePath, load) {
+    let cached = null;
+
+    return async () => {
+        const { mtimeMs } = await stat(filePath);
+        if (!cached || cached.mtimeMs !== mtimeMs) {
+            const promise = load().catch(error => {
+                if (cached && cached.promise === promise) cached = null;
+                throw error;
+            });
+            cached = { mtimeMs, promise };
+        }
+        return cached.promise;
+    };
+}
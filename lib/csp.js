@@ -0,0 +1,202 @@
+/**
+ * Content Security Policy
+ * One policy for both deploys: Express sends it with a per-request nonce on the
+ * inline <script> and <style> blocks, and the build writes the same policy into
+ * staticwebapp.config.json with hashes of those blocks for Azure Static Web Apps.
+ * Violations are reported to /api/csp-report.
+ */
+import { createHash, randomBytes } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createJsonlSink, createRateLimiter } from './contact.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const REPORT_PATH = '/api/csp-report';
+export const REPORT_GROUP = 'csp-endpoint';
+
+// Inline blocks without a src attribute, with their contents
+const INLINE_SCRIPT = /<script\b(?![^>]*\bsrc\s*=)([^>]*)>([\s\S]*?)<\/script>/gi;
+const INLINE_STYLE = /<style\b([^>]*)>([\s\S]*?)<\/style>/gi;
+
+/**
+ * Data blocks such as JSON-LD are never run, so the policy does not need to allow them
+ * @param {string} attributes - Attributes of the <script> tag
+ * @returns {boolean}
+ */
+function isExecutable(attributes) {
+    const type = /\btype\s*=\s*["']?([^"'\s>]+)/i.exec(attributes);
+    return !type || /^(module|text\/javascript|application\/javascript)$/i.test(type[1]);
+}
+
+/**
+ * Policy directives in helmet's camelCase form
+ * @param {Object} [sources] - Extra sources for the inline blocks
+ * @param {Array<string|Function>} [sources.scriptSrc] - Nonce or hashes of the inline scripts
+ * @param {Array<string|Function>} [sources.styleSrc] - Nonce or hashes of the inline styles
+ * @returns {Object}
+ */
+export function cspDirectives({ scriptSrc = [], styleSrc = [] } = {}) {
+    return {
+        defaultSrc: ["'self'"],
+        scriptSrc: ["'self'", ...scriptSrc],
+        scriptSrcAttr: ["'none'"],
+        styleSrc: ["'self'", ...styleSrc],
+        imgSrc: ["'self'", 'data:'],
+        connectSrc: ["'self'"],
+        fontSrc: ["'self'"],
+        objectSrc: ["'none'"],
+        mediaSrc: ["'self'"],
+        frameSrc: ["'none'"],
+        workerSrc: ["'self'"],
+        manifestSrc: ["'self'"],
+        baseUri: ["'self'"],
+        formAction: ["'self'"],
+        frameAncestors: ["'none'"],
+        upgradeInsecureRequests: [],
+        reportUri: [REPORT_PATH],
+        reportTo: [REPORT_GROUP]
+    };
+}
+
+/**
+ * Serialize directives into a header value
+ * @param {Object} directives - See cspDirectives()
+ * @returns {string}
+ */
+export function serializePolicy(directives) {
+    return Object.entries(directives)
+        .map(([name, values]) => {
+            const directive = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+            return [directive, ...values].join(' ');
+        })
+        .join('; ');
+}
+
+/**
+ * Value for the Reporting-Endpoints header that the report-to directive refers to
+ * @returns {string}
+ */
+export function reportingEndpoints() {
+    return `${REPORT_GROUP}="${REPORT_PATH}"`;
+}
+
+/**
+ * @returns {string} Base64 nonce, fresh for every response
+ */
+export function createNonce() {
+    return randomBytes(16).toString('base64');
+}
+
+/**
+ * Add a nonce attribute to every inline <script> and <style> block
+ * @param {string} html
+ * @param {string} nonce
+ * @returns {string}
+ */
+export function applyNonce(html, nonce) {
+    const addNonce = tag => (match, attributes, body) => {
+        if (tag === 'script' && !isExecutable(attributes)) return match;
+        return `<${tag} nonce="${nonce}"${attributes.replace(/\s+nonce="[^"]*"/, '')}>${body}</${tag}>`;
+    };
+
+    return html
+        .replace(INLINE_SCRIPT, addNonce('script'))
+        .replace(INLINE_STYLE, addNonce('style'));
+}
+
+/**
+ * Hash the contents of every inline <script> and <style> block
+ * @param {string} html
+ * @returns {{ scriptSrc: string[], styleSrc: string[] }} Quoted 'sha256-...' sources
+ */
+export function hashInlineBlocks(html) {
+    const hash = ([, , body]) => `'sha256-${createHash('sha256').update(body, 'utf8').digest('base64')}'`;
+
+    return {
+        scriptSrc: [...html.matchAll(INLINE_SCRIPT)].filter(([, attributes]) => isExecutable(attributes)).map(hash),
+        styleSrc: [...html.matchAll(INLINE_STYLE)].map(hash)
+    };
+}
+
+/**
+ * Reduce a report to the fields worth keeping. Accepts both the legacy report-uri
+ * format ({ "csp-report": {...} }) and Reporting API entries ({ type, body: {...} }).
+ * @param {Object} report
+ * @returns {Object|null} Null when the payload is not a CSP violation
+ */
+export function normalizeReport(report) {
+    if (!report || typeof report !== 'object') return null;
+
+    if (report['csp-report']) {
+        const body = report['csp-report'];
+        return {
+            documentUrl: body['document-uri'],
+            blockedUrl: body['blocked-uri'],
+            directive: body['effective-directive'] || body['violated-directive'],
+            disposition: body.disposition,
+            sourceFile: body['source-file'],
+            line: body['line-number'],
+            column: body['column-number'],
+            sample: body['script-sample']
+        };
+    }
+
+    if (report.type === 'csp-violation' && report.body) {
+        const { body } = report;
+        return {
+            documentUrl: body.documentURL,
+            blockedUrl: body.blockedURL,
+            directive: body.effectiveDirective,
+            disposition: body.disposition,
+            sourceFile: body.sourceFile,
+            line: body.lineNumber,
+            column: body.columnNumber,
+            sample: body.sample
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Pick the report sink from the environment: CSP_REPORT_LOG_PATH, or data/csp-reports.jsonl
+ * @param {Object} [env=process.env]
+ * @returns {{ save: function(Object): Promise<void> }}
+ */
+export function createReportSinkFromEnv(env = process.env) {
+    return createJsonlSink(path.resolve(rootDir, env.CSP_REPORT_LOG_PATH || 'data/csp-reports.jsonl'));
+}
+
+/**
+ * Express handler for POST /api/csp-report. Expects a body parsed as JSON.
+ * @param {Object} [options]
+ * @param {Object} [options.sink] - Where to store reports, see createReportSinkFromEnv()
+ * @param {Object} [options.rateLimiter] - See createRateLimiter()
+ * @returns {Function} Express request handler
+ */
+export function createCspReportHandler({
+    sink = createReportSinkFromEnv(),
+    rateLimiter = createRateLimiter({ limit: 100, windowMs: 60 * 1000 })
+} = {}) {
+    return async (req, res, next) => {
+        // Browsers never retry reports, so excess ones are simply dropped
+        if (!rateLimiter.hit(req.ip || 'unknown').allowed) {
+            return res.status(204).end();
+        }
+
+        const reports = (Array.isArray(req.body) ? req.body : [req.body])
+            .map(normalizeReport)
+            .filter(Boolean);
+
+        try {
+            const receivedAt = new Date().toISOString();
+            for (const report of reports) {
+                await sink.save({ receivedAt, userAgent: req.get('user-agent'), ...report });
+            }
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
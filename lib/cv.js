@@ -0,0 +1,255 @@
+/**
+ * CV
+ * Builds the CV from the same content as the home page: a JSON Resume document
+ * (https://jsonresume.org/schema) for /cv.json, and a PDF of that document for
+ * /cv.pdf. The PDF is drawn with pdfkit on the server, so no external service
+ * or browser is involved.
+ */
+import PDFDocument from 'pdfkit';
+import { absoluteUrl } from './structured-data.js';
+
+export const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parse a date as written in content/site.json, e.g. "Nov 2022", "Mar 31, 2024" or "2019"
+ * @param {string} text
+ * @returns {string|undefined} ISO 8601 date, as precise as the text, e.g. "2022-11"
+ */
+export function isoDate(text) {
+    const match = /^(?:([a-z]{3})[a-z]*\.?\s+(?:(\d{1,2}),?\s+)?)?(\d{4})$/i.exec((text || '').trim());
+    if (!match) return undefined;
+
+    const [, month, day, year] = match;
+    if (!month) return year;
+
+    const monthIndex = MONTHS.indexOf(month.toLowerCase());
+    if (monthIndex === -1) return undefined;
+
+    const parts = [year, String(monthIndex + 1).padStart(2, '0')];
+    if (day) parts.push(day.padStart(2, '0'));
+    return parts.join('-');
+}
+
+/**
+ * Split a date range such as "Nov 2022 – Dec 2024" or "Jun 2022 – Present"
+ * @param {string} [text]
+ * @returns {{ startDate?: string, endDate?: string }} Dates that could not be parsed are left out
+ */
+export function dateRange(text) {
+    if (!text) return {};
+
+    // Notes such as "(Graduated May 2023)" are not part of the range
+    const [start, end] = text.replace(/\(.*?\)/g, '').trim().split(/\s+[–—-]\s+/);
+    return {
+        startDate: isoDate(start),
+        endDate: end && !/present/i.test(end) ? isoDate(end) : undefined
+    };
+}
+
+/**
+ * Build the JSON Resume document
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {Object[]} data.projects - Project catalog
+ * @param {string} data.baseUrl - Public address of the site
+ * @returns {Object}
+ */
+export function toJsonResume({ site, projects, baseUrl }) {
+    const { person, contact } = site;
+    const linkTo = scheme => contact.links.find(link => link.url.startsWith(scheme));
+    const email = linkTo('mailto:');
+    const phone = linkTo('tel:');
+
+    return {
+        $schema: JSON_RESUME_SCHEMA,
+        basics: {
+            name: person.name,
+            label: person.headline,
+            image: absoluteUrl(baseUrl, person.image.url),
+            email: email ? email.url.slice('mailto:'.length) : undefined,
+            phone: phone ? phone.url.slice('tel:'.length) : undefined,
+            url: baseUrl,
+            summary: site.about.join('\n\n'),
+            profiles: contact.links
+                .filter(link => /^https?:/.test(link.url))
+                .map(link => ({
+                    network: link.label,
+                    username: new URL(link.url).pathname.split('/').filter(Boolean).pop(),
+                    url: link.url
+                }))
+        },
+        work: site.experience.map(item => ({
+            name: item.organization,
+            position: item.role,
+            ...dateRange(item.date),
+            summary: item.achievements,
+            highlights: item.highlights
+        })),
+        education: site.education.map(item => ({
+            institution: item.institution,
+            studyType: item.qualification,
+            area: item.majors,
+            ...dateRange(item.date)
+        })),
+        skills: site.skills.map(group => ({
+            name: group.category,
+            keywords: group.items.map(skill => skill.name)
+        })),
+        certificates: site.certifications.map(item => ({
+            name: item.name,
+            date: isoDate(item.date)
+        })),
+        projects: projects.map(project => ({
+            name: project.title,
+            description: project.summary,
+            keywords: project.technologies,
+            url: project.projectUrl || absoluteUrl(baseUrl, `/projects/${project.slug}`)
+        })),
+        meta: {
+            canonical: absoluteUrl(baseUrl, '/cv.json')
+        }
+    };
+}
+
+/**
+ * The PDF's standard fonts only cover Windows-1252, so map the few other characters
+ * used in the content and drop the rest, such as emoji
+ * @param {string} text
+ * @returns {string}
+ */
+function pdfText(text) {
+    return String(text)
+        .replace(/[\u2010\u2011]/g, '-')
+        .replace(/[\u00a0\u2009\u202f]/g, ' ')
+        .replace(/[^\u0000-\u00ff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026\u20ac]/g, '')
+        .trim();
+}
+
+/**
+ * @param {string} date - ISO date from toJsonResume()
+ * @returns {string} e.g. "Nov 2022" or "2019"
+ */
+function formatDate(date) {
+    const [year, month] = date.split('-');
+    if (!month) return year;
+    const name = MONTHS[Number(month) - 1];
+    return `${name[0].toUpperCase()}${name.slice(1)} ${year}`;
+}
+
+/**
+ * @param {{ startDate?: string, endDate?: string }} item
+ * @returns {string} e.g. "Nov 2022 – Dec 2024", or nothing without a start date
+ */
+function formatRange({ startDate, endDate }) {
+    if (!startDate) return '';
+    return `${formatDate(startDate)} – ${endDate ? formatDate(endDate) : 'Present'}`;
+}
+
+/**
+ * Draw the CV as an A4 PDF
+ * @param {Object} resume - See toJsonResume()
+ * @returns {Promise<Buffer>}
+ */
+export function createCvPdf(resume) {
+    const { basics } = resume;
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `${pdfText(basics.name)} – CV`, Author: pdfText(basics.name), Subject: pdfText(basics.label) }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const colors = { text: '#1a1a1a', muted: '#555555', accent: '#007a28' };
+
+    const heading = (title) => {
+        doc.moveDown(0.8)
+            .font('Helvetica-Bold').fontSize(12).fillColor(colors.accent)
+            .text(title.toUpperCase(), { characterSpacing: 1 });
+        doc.moveTo(doc.page.margins.left, doc.y + 2)
+            .lineTo(doc.page.width - doc.page.margins.right, doc.y + 2)
+            .lineWidth(0.5).strokeColor(colors.accent).stroke();
+        doc.moveDown(0.5);
+    };
+    const entry = (title, subtitle) => {
+        doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.text).text(pdfText(title));
+        if (subtitle) doc.font('Helvetica').fontSize(9.5).fillColor(colors.muted).text(pdfText(subtitle));
+        doc.font('Helvetica').fontSize(10).fillColor(colors.text);
+    };
+    const bullets = (items) => {
+        if (items && items.length > 0) {
+            doc.moveDown(0.2).list(items.map(pdfText), { bulletRadius: 1.5, textIndent: 10, paragraphGap: 2 });
+        }
+    };
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(22).fillColor(colors.text).text(pdfText(basics.name));
+    doc.font('Helvetica').fontSize(11).fillColor(colors.muted).text(pdfText(basics.label));
+    doc.moveDown(0.3).fontSize(9.5).fillColor(colors.accent);
+    const contacts = [
+        basics.email && { text: basics.email, link: `mailto:${basics.email}` },
+        basics.phone && { text: basics.phone, link: `tel:${basics.phone}` },
+        { text: basics.url.replace(/^https?:\/\//, ''), link: basics.url },
+        ...basics.profiles.map(profile => ({ text: profile.url.replace(/^https?:\/\/(www\.)?/, ''), link: profile.url }))
+    ].filter(Boolean);
+    contacts.forEach((contact, index) => {
+        const last = index === contacts.length - 1;
+        doc.text(contact.text, { link: contact.link, continued: !last });
+        if (!last) doc.fillColor(colors.muted).text('  |  ', { link: null, continued: true }).fillColor(colors.accent);
+    });
+
+    heading('Profile');
+    basics.summary.split('\n\n').forEach(paragraph => {
+        doc.font('Helvetica').fontSize(10).fillColor(colors.text).text(pdfText(paragraph), { align: 'justify' }).moveDown(0.4);
+    });
+
+    heading('Experience');
+    resume.work.forEach((job) => {
+        entry(job.position, [job.name, formatRange(job)].filter(Boolean).join('  ·  '));
+        bullets(job.highlights);
+        if (job.summary) doc.moveDown(0.2).font('Helvetica-Oblique').text(pdfText(job.summary));
+        doc.moveDown(0.6);
+    });
+
+    heading('Education');
+    resume.education.forEach((school) => {
+        entry(school.studyType, [school.institution, formatRange(school)].filter(Boolean).join('  ·  '));
+        if (school.area) doc.text(pdfText(school.area));
+        doc.moveDown(0.6);
+    });
+
+    heading('Skills');
+    resume.skills.forEach((group) => {
+        doc.font('Helvetica-Bold').text(`${pdfText(group.name)}: `, { continued: true })
+            .font('Helvetica').text(group.keywords.map(pdfText).join(', '));
+        doc.moveDown(0.3);
+    });
+
+    if (resume.certificates.length > 0) {
+        heading('Certifications');
+        resume.certificates.forEach((certificate) => {
+            entry(certificate.name, certificate.date && formatDate(certificate.date));
+            doc.moveDown(0.4);
+        });
+    }
+
+    if (resume.projects.length > 0) {
+        heading('Projects');
+        resume.projects.forEach((project) => {
+            doc.font('Helvetica-Bold').fontSize(10.5).fillColor(colors.text).text(pdfText(project.name), { link: project.url });
+            doc.font('Helvetica').fontSize(10).text(pdfText(project.description));
+            doc.fontSize(9).fillColor(colors.muted).text(project.keywords.map(pdfText).join(', '));
+            doc.moveDown(0.5);
+        });
+    }
+
+    doc.end();
+    return done;
+}
@@ -0,0 +1,69 @@
+/**
+ * HTML templating
+ * Tagged template literals for the server-rendered pages. Interpolated values
+ * are escaped unless they come from another html`` template or raw().
+ */
+
+const ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+/**
+ * Mark a string as trusted markup that must not be escaped
+ * @param {string} value
+ * @returns {SafeHtml}
+ */
+export function raw(value) {
+    return new SafeHtml(String(value));
+}
+
+function render(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(render).join('');
+    return escapeHtml(value);
+}
+
+/**
+ * Template tag: html`<p>${text}</p>`
+ * Arrays are joined, and null, undefined and false render nothing, so
+ * conditionals and lists can be written inline.
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? render(values[i]) : ''), ''));
+}
+
+/**
+ * Serialize data for a <script type="application/json"> or "application/ld+json" block
+ * @param {*} data
+ * @param {number} [indent] - Spaces to indent with, none by default
+ * @returns {SafeHtml}
+ */
+export function jsonScript(data, indent) {
+    // Escaping "<" keeps a "</script>" inside a string from closing the block
+    return raw(JSON.stringify(data, null, indent).replace(/</g, '\\u003c'));
+}
@@ -0,0 +1,156 @@
+/**
+ * Translations
+ * Loads the locale bundles in content/locales/, one per language, and validates
+ * them against content/locale.schema.json. English lives at the site root and
+ * the other languages under /<locale>/, e.g. /zu/projects/<slug>.
+ */
+import path from 'node:path';
+import { cachedByMtime, contentDir, loadValidatedJson } from './content.js';
+
+// The first locale is the default: its pages have no prefix and its strings fill any gaps
+export const LOCALES = ['en', 'zu', 'af'];
+export const DEFAULT_LOCALE = LOCALES[0];
+
+// Set by the language switcher (static/js/i18n.js) and preferred over Accept-Language
+export const LOCALE_COOKIE = 'lang';
+
+// Message groups the browser scripts need, embedded in every page
+export const CLIENT_MESSAGES = ['theme', 'contact', 'project', 'modal', 'gallery', 'filters'];
+
+const localesDir = path.join(contentDir, 'locales');
+const schemaPath = path.join(contentDir, 'locale.schema.json');
+
+/**
+ * Load a locale bundle, throwing if it does not match the schema
+ * @param {string} filePath - File to load
+ * @returns {Promise<Object>} Validated bundle
+ */
+export function loadLocale(filePath) {
+    return loadValidatedJson(filePath, schemaPath, 'locale');
+}
+
+const loaders = new Map(LOCALES.map((locale) => {
+    const filePath = path.join(localesDir, `${locale}.json`);
+    return [locale, cachedByMtime(filePath, () => loadLocale(filePath))];
+}));
+
+/**
+ * Get one locale bundle, loading it on first use and again whenever the file changes
+ * @param {string} locale - One of LOCALES
+ * @returns {Promise<Object>} Validated bundle
+ */
+export function getLocale(locale) {
+    if (!loaders.has(locale)) return Promise.reject(new Error(`Unknown locale "${locale}"`));
+    return loaders.get(locale)();
+}
+
+/**
+ * Get every locale bundle
+ * @returns {Promise<Object<string, Object>>} Bundles keyed by locale, in the order of LOCALES
+ */
+export async function getLocales() {
+    const bundles = await Promise.all(LOCALES.map(getLocale));
+    return Object.fromEntries(LOCALES.map((locale, i) => [locale, bundles[i]]));
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merge plain objects key by key. Arrays and strings from the override replace the original.
+ * @param {Object} base
+ * @param {Object} [override]
+ * @returns {Object} A new object
+ */
+export function deepMerge(base, override = {}) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isObject(value) && isObject(base[key]) ? deepMerge(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Create a translation function
+ * @param {Object} messages - Strings of the locale, with the default locale's merged in for gaps
+ * @returns {function(string, Object=): string} t(key, params): the string for a dotted key with
+ *   each {name} replaced by params.name. Unknown keys come back as the key itself.
+ */
+export function createTranslator(messages) {
+    return (key, params = {}) => {
+        const message = key.split('.').reduce((node, part) => (isObject(node) ? node[part] : undefined), messages);
+        if (typeof message !== 'string') return key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    };
+}
+
+/**
+ * @param {Object<string, Object>} bundles - See getLocales()
+ * @param {string} locale - One of LOCALES
+ * @returns {Object} The locale's strings over the default locale's
+ */
+function mergedMessages(bundles, locale) {
+    return deepMerge(bundles[DEFAULT_LOCALE].messages, bundles[locale].messages);
+}
+
+/**
+ * Get the translation function for a locale
+ * @param {string} locale - One of LOCALES
+ * @returns {Promise<function(string, Object=): string>} See createTranslator()
+ */
+export async function getTranslator(locale) {
+    return createTranslator(mergedMessages(await getLocales(), locale));
+}
+
+/**
+ * Everything the templates need to render a page in one language
+ * @param {Object<string, Object>} bundles - See getLocales()
+ * @param {string} locale - One of LOCALES
+ * @param {Object} site - Site content from content/site.json
+ * @returns {{ locale: string, locales: Object[], site: Object, messages: Object, t: Function }}
+ */
+export function localeContext(bundles, locale, site) {
+    const messages = mergedMessages(bundles, locale);
+
+    return {
+        locale,
+        locales: LOCALES.map(code => ({ code, name: bundles[code].name, ogLocale: bundles[code].ogLocale })),
+        site: deepMerge(site, bundles[locale].site),
+        messages,
+        t: createTranslator(messages)
+    };
+}
+
+/**
+ * The path of a page in a language
+ * @param {string} pagePath - Path of the page in the default locale, e.g. "/projects/demo"
+ * @param {string} locale - One of LOCALES
+ * @returns {string} e.g. "/zu/projects/demo", or "/zu" for the home page
+ */
+export function localizedPath(pagePath, locale) {
+    if (locale === DEFAULT_LOCALE) return pagePath;
+    return pagePath === '/' ? `/${locale}` : `/${locale}${pagePath}`;
+}
+
+/**
+ * The language a path belongs to, from its prefix
+ * @param {string} urlPath - e.g. "/af/projects/demo"
+ * @returns {string|null} The locale, or null for paths without a locale prefix
+ */
+export function localeFromPath(urlPath) {
+    const [, prefix] = urlPath.split('/');
+    return LOCALES.includes(prefix) && prefix !== DEFAULT_LOCALE ? prefix : null;
+}
+
+/**
+ * The language to answer a request in: the one picked with the language switcher,
+ * otherwise the best match for the Accept-Language header
+ * @param {import('express').Request} req
+ * @returns {string} One of LOCALES
+ */
+export function preferredLocale(req) {
+    const match = new RegExp(`(?:^|;\\s*)${LOCALE_COOKIE}=([^;]*)`).exec(req.get('Cookie') || '');
+    if (match && LOCALES.includes(match[1])) return match[1];
+
+    // Express picks the first locale when there is no header
+    return req.acceptsLanguages(...LOCALES) || DEFAULT_LOCALE;
+}
@@ -0,0 +1,106 @@
+/**
+ * Logging
+ * JSON lines on stdout, one object per event, so the output can be read by a
+ * process manager, a container runtime or Azure Monitor without parsing text.
+ * The level comes from LOG_LEVEL: error, warn, info (default), debug or silent.
+ */
+import { randomUUID } from 'node:crypto';
+
+export const LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+
+// Incoming request IDs are echoed back, so only plain tokens are accepted
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Turn an Error into plain fields, since JSON.stringify drops its properties. Only
+ * these are kept: others can hold request data, such as the body on a parse error.
+ * @param {*} value
+ * @returns {*}
+ */
+function serialize(value) {
+    if (value instanceof Error) {
+        const { name, message, stack, status, code } = value;
+        return { name, message, stack, status, code };
+    }
+    return value;
+}
+
+/**
+ * Create a logger
+ * @param {Object} [options]
+ * @param {string} [options.level] - Lowest level written, defaults to LOG_LEVEL or info
+ * @param {{ write: function(string): * }} [options.stream=process.stdout] - Where lines are written
+ * @param {Object} [options.fields] - Added to every line
+ * @returns {{ error: Function, warn: Function, info: Function, debug: Function, child: function(Object): Object }}
+ */
+export function createLogger({
+    level = process.env.LOG_LEVEL || 'info',
+    stream = process.stdout,
+    fields = {}
+} = {}) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level "${level}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    const write = name => (message, extra = {}) => {
+        if (LEVELS[name] > LEVELS[level]) return;
+
+        const entry = { time: new Date().toISOString(), level: name, msg: message, ...fields };
+        for (const [key, value] of Object.entries(extra)) {
+            entry[key] = serialize(value);
+        }
+        stream.write(`${JSON.stringify(entry)}\n`);
+    };
+
+    return {
+        error: write('error'),
+        warn: write('warn'),
+        info: write('info'),
+        debug: write('debug'),
+        child: extra => createLogger({ level, stream, fields: { ...fields, ...extra } })
+    };
+}
+
+/**
+ * Express middleware that gives every request an ID and logs it once the
+ * response is finished. The ID is taken from an X-Request-Id header when a proxy
+ * sent one, returned in the same header, and available as req.id. req.log is a
+ * logger that adds the ID to every line.
+ * @param {Object} logger - See createLogger()
+ * @param {Object} [options]
+ * @param {string[]} [options.quietPaths] - Logged at debug rather than info, e.g. health probes
+ * @returns {Function} Express middleware
+ */
+export function requestLogger(logger, { quietPaths = [] } = {}) {
+    return (req, res, next) => {
+        const incoming = req.get('x-request-id');
+        req.id = incoming && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        const start = process.hrtime.bigint();
+        let logged = false;
+
+        // 'close' without 'finish' means the client went away before the response was sent
+        const log = () => {
+            if (logged) return;
+            logged = true;
+
+            const level = res.statusCode >= 500 ? 'error' : quietPaths.includes(req.path) ? 'debug' : 'info';
+            req.log[level]('request', {
+                method: req.method,
+                // No query string, it can carry personal data
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+                bytes: Number(res.get('content-length')) || undefined,
+                userAgent: req.get('user-agent'),
+                aborted: !res.writableFinished || undefined
+            });
+        };
+        res.on('finish', log);
+        res.on('close', log);
+
+        next();
+    };
+}
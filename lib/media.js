@@ -0,0 +1,101 @@
+/**
+ * Project media
+ * Prepares the media of a project for the gallery: every item gets the fields the
+ * browser needs, so the modal and the project page show the same thing.
+ * - Local images with a width and height get a srcset of the WebP variants that
+ *   scripts/build.js resizes them to
+ * - Code snippets are highlighted with highlight.js on the server, so no
+ *   highlighter is shipped to the browser
+ */
+import hljs from 'highlight.js/lib/core';
+import bash from 'highlight.js/lib/languages/bash';
+import cpp from 'highlight.js/lib/languages/cpp';
+import csharp from 'highlight.js/lib/languages/csharp';
+import css from 'highlight.js/lib/languages/css';
+import java from 'highlight.js/lib/languages/java';
+import javascript from 'highlight.js/lib/languages/javascript';
+import json from 'highlight.js/lib/languages/json';
+import kotlin from 'highlight.js/lib/languages/kotlin';
+import php from 'highlight.js/lib/languages/php';
+import python from 'highlight.js/lib/languages/python';
+import sql from 'highlight.js/lib/languages/sql';
+import typescript from 'highlight.js/lib/languages/typescript';
+import xml from 'highlight.js/lib/languages/xml';
+import { escapeHtml } from './html.js';
+
+// The languages of the projects; anything else is shown as plain text
+Object.entries({ bash, cpp, csharp, css, java, javascript, json, kotlin, php, python, sql, typescript, xml })
+    .forEach(([name, language]) => hljs.registerLanguage(name, language));
+
+// Widths of the generated variants, in pixels
+export const IMAGE_WIDTHS = [480, 960, 1440];
+
+// Images under this path are resized at build time
+const LOCAL_IMAGES = '/static/';
+
+/**
+ * URL of a resized variant
+ * @param {string} url - Image URL, e.g. /static/img/projects/portal.png
+ * @param {number} width
+ * @returns {string} e.g. /static/img/projects/portal-480w.webp
+ */
+export function variantUrl(url, width) {
+    return url.replace(/\.[^./]+$/, '') + `-${width}w.webp`;
+}
+
+/**
+ * Widths to generate for an image: the standard widths below its own width
+ * @param {number} width - Width of the original
+ * @returns {number[]}
+ */
+export function variantWidths(width) {
+    return IMAGE_WIDTHS.filter(candidate => candidate < width);
+}
+
+/**
+ * @param {Object} item - Image item with url, width and height
+ * @returns {boolean} Whether build-time variants exist for it
+ */
+export function hasVariants(item) {
+    return item.type === 'image' && item.url.startsWith(LOCAL_IMAGES) && Boolean(item.width && item.height);
+}
+
+/**
+ * Highlight a code snippet
+ * @param {string} code
+ * @param {string} [language] - highlight.js language name
+ * @returns {string} HTML with hljs-* classes, escaped where not highlighted
+ */
+export function highlightCode(code, language) {
+    if (language && hljs.getLanguage(language)) {
+        return hljs.highlight(code, { language, ignoreIllegals: true }).value;
+    }
+    return escapeHtml(code);
+}
+
+/**
+ * Normalize a project's media to a list of gallery items
+ * @param {Object} project - Project from content/projects.json
+ * @returns {Object[]} Items with alt text, srcset and highlighted code filled in
+ */
+export function prepareMedia(project) {
+    const items = [].concat(project.media || []);
+
+    return items.map((item) => {
+        if (item.type === 'image') {
+            const image = { ...item, alt: item.alt || item.caption || project.title };
+            if (hasVariants(item)) {
+                // The sizes attribute depends on the layout, so the page or the modal adds it
+                image.srcset = [
+                    ...variantWidths(item.width).map(width => `${variantUrl(item.url, width)} ${width}w`),
+                    `${item.url} ${item.width}w`
+                ].join(', ');
+            }
+            return image;
+        }
+        if (item.type === 'code') {
+            return { ...item, html: highlightCode(item.code, item.language) };
+        }
+        return { ...item };
+    });
+}
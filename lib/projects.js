@@ -0,0 +1,37 @@
+/**
+ * Project catalog
+ * Loads content/projects.json, validates it against its JSON schema and prepares
+ * the media of every project for the gallery (see lib/media.js)
+ */
+import path from 'node:path';
+import { cachedByMtime, contentDir, loadValidatedJson } from './content.js';
+import { prepareMedia } from './media.js';
+
+const catalogPath = path.join(contentDir, 'projects.json');
+const schemaPath = path.join(contentDir, 'projects.schema.json');
+
+/**
+ * Load the project catalog, throwing if it does not match the schema
+ * @param {string} [filePath] - Catalog to load, defaults to content/projects.json
+ * @returns {Promise<Object[]>} Validated list of projects, each with a media list
+ */
+export async function loadProjects(filePath = catalogPath) {
+    const catalog = await loadValidatedJson(filePath, schemaPath, 'project catalog');
+
+    // Slugs are used in URLs, so they must be unique across the catalog
+    const seen = new Set();
+    catalog.projects.forEach((project, index) => {
+        if (seen.has(project.slug)) {
+            throw new Error(`Invalid project catalog ${path.relative(process.cwd(), filePath)}:\n  /projects/${index}/slug "${project.slug}" is used more than once`);
+        }
+        seen.add(project.slug);
+    });
+
+    return catalog.projects.map(project => ({ ...project, media: prepareMedia(project) }));
+}
+
+/**
+ * Get the project catalog, loading it on first use and again whenever the file changes
+ * @returns {Promise<Object[]>} Validated list of projects, each with a media list
+ */
+export const getProjects = cachedByMtime(catalogPath, () => loadProjects());
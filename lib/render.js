@@ -0,0 +1,113 @@
+/**
+ * Page rendering
+ * Renders the pages and the CV from the templates and the content files. Express
+ * serves the output directly and scripts/generate.js writes it to public/. Output
+ * is kept in memory and rendered again only when content/site.json,
+ * content/projects.json, a locale bundle or the asset manifest change.
+ */
+import { createAssetResolver, getAssetManifest } from './assets.js';
+import { createCvPdf, toJsonResume } from './cv.js';
+import { DEFAULT_LOCALE, LOCALES, getLocales, localeContext } from './i18n.js';
+import { getProjects } from './projects.js';
+import { getSite, siteUrl } from './site.js';
+import renderIndex from '../templates/index.js';
+import renderProjectPage from '../templates/project.js';
+import renderNotFoundPage from '../templates/404.js';
+
+let cache = { site: null, projects: null, manifest: null, bundles: {}, pages: new Map() };
+
+/**
+ * Render a page, reusing the last output while the content is unchanged
+ * @param {string} key - Cache key for the page
+ * @param {function(Object): *} render - Renders the page from { site, projects, asset } and the
+ *   locale context, see localeContext() in lib/i18n.js
+ * @param {string} [locale] - Language of the page, one of LOCALES
+ * @returns {Promise<*>} The output, e.g. an HTML document without CSP nonces
+ */
+async function renderCached(key, render, locale = DEFAULT_LOCALE) {
+    const [site, projects, manifest, bundles] = await Promise.all([getSite(), getProjects(), getAssetManifest(), getLocales()]);
+
+    // The loaders hand out the same objects until their file changes
+    if (cache.site !== site || cache.projects !== projects || cache.manifest !== manifest ||
+        LOCALES.some(code => cache.bundles[code] !== bundles[code])) {
+        cache = { site, projects, manifest, bundles, pages: new Map() };
+    }
+
+    const { pages } = cache;
+    const pageKey = `${locale}:${key}`;
+    if (!pages.has(pageKey)) {
+        const output = render({
+            projects,
+            asset: createAssetResolver(manifest),
+            ...localeContext(bundles, locale, site)
+        });
+        pages.set(pageKey, output);
+        // A failed asynchronous render is retried on the next request
+        if (output instanceof Promise) output.catch(() => pages.delete(pageKey));
+    }
+    return pages.get(pageKey);
+}
+
+/**
+ * Render the home page
+ * @param {string} [locale] - One of LOCALES
+ * @returns {Promise<string>}
+ */
+export function renderHome(locale = DEFAULT_LOCALE) {
+    return renderCached('/', data => renderIndex(data), locale);
+}
+
+/**
+ * Render the page for one project
+ * @param {string} slug - Project slug
+ * @param {string} [locale] - One of LOCALES
+ * @returns {Promise<string|null>} Null when no project has this slug
+ */
+export async function renderProject(slug, locale = DEFAULT_LOCALE) {
+    // Checked up front so unknown slugs never take up room in the cache
+    const projects = await getProjects();
+    if (!projects.some(project => project.slug === slug)) return null;
+
+    return renderCached(`/projects/${slug}`, (data) => {
+        const project = data.projects.find(item => item.slug === slug);
+        return project ? renderProjectPage({ ...data, project }) : null;
+    }, locale);
+}
+
+/**
+ * Render the not found page
+ * @param {string} [locale] - One of LOCALES
+ * @returns {Promise<string>}
+ */
+export function renderNotFound(locale = DEFAULT_LOCALE) {
+    return renderCached('/404.html', data => renderNotFoundPage(data), locale);
+}
+
+/**
+ * Render the CV in the JSON Resume format
+ * @returns {Promise<string>} JSON text
+ */
+export function renderCvJson() {
+    return renderCached('/cv.json', ({ site, projects }) =>
+        `${JSON.stringify(toJsonResume({ site, projects, baseUrl: siteUrl(site) }), null, 2)}\n`);
+}
+
+/**
+ * Render the CV as a PDF
+ * @returns {Promise<Buffer>}
+ */
+export function renderCvPdf() {
+    return renderCached('/cv.pdf', ({ site, projects }) =>
+        createCvPdf(toJsonResume({ site, projects, baseUrl: siteUrl(site) })));
+}
+
+/**
+ * Render a document from the known routes, see DOCUMENTS in lib/routes.js
+ * @param {string} document - Document name, e.g. "cvPdf"
+ * @returns {Promise<string|Buffer>}
+ */
+export function renderDocument(document) {
+    const renderers = { cvPdf: renderCvPdf, cvJson: renderCvJson };
+    if (!renderers[document]) throw new Error(`Unknown document "${document}"`);
+    return renderers[document]();
+}
@@ -0,0 +1,86 @@
+/**
+ * Known routes
+ * Every path the site answers, shared by Express (lib/app.js) and the generated
+ * Azure Static Web Apps config (scripts/generate.js) so both hosts agree on what
+ * exists. Anything not listed here, and not a file in public/, is a 404.
+ */
+import { DEFAULT_LOCALE, LOCALES, localizedPath } from './i18n.js';
+import { getProjects } from './projects.js';
+import { REPORT_PATH } from './csp.js';
+
+// Paths answered by the Express app behind the Functions API
+export const API_PREFIX = '/api/';
+
+/**
+ * Sections of the home page. /<section> redirects to /#<section>, so links to
+ * the old single-page paths keep working.
+ */
+export const SECTIONS = ['about', 'projects', 'skills', 'certifications', 'experience', 'education', 'contact'];
+
+// Private stats dashboard, see lib/analytics.js. Static Web Apps hands it to the API.
+export const ADMIN_STATS_PATH = '/admin/stats';
+
+/**
+ * Files rendered from the content besides the pages, with their media type
+ * @type {Array<{ route: string, file: string, document: string, type: string }>}
+ */
+export const DOCUMENTS = [
+    { route: '/cv.pdf', file: 'cv.pdf', document: 'cvPdf', type: 'application/pdf' },
+    { route: '/cv.json', file: 'cv.json', document: 'cvJson', type: 'application/json' }
+];
+
+// Liveness and readiness probes, answered by the Node server only
+export const HEALTH_PATH = '/healthz';
+export const READY_PATH = '/readyz';
+
+/**
+ * API endpoints and the methods they accept
+ * @type {Object<string, string[]>}
+ */
+export const API_ROUTES = {
+    '/api/message': ['GET'],
+    '/api/projects': ['GET'],
+    '/api/contact': ['POST'],
+    '/api/events': ['POST'],
+    [`${API_PREFIX}admin/stats`]: ['GET'],
+    [REPORT_PATH]: ['POST']
+};
+
+/**
+ * List every known route
+ * @returns {Promise<{
+ *   pages: Array<{ route: string, file: string, page: string, locale: string, slug?: string }>,
+ *   documents: typeof DOCUMENTS,
+ *   redirects: Array<{ route: string, location: string }>,
+ *   rewrites: Array<{ route: string, target: string }>,
+ *   api: Object<string, string[]>
+ * }>} Pages in every language and documents with the file they are generated into,
+ * redirects, paths served by the API and API endpoints
+ */
+export async function getKnownRoutes() {
+    const projects = await getProjects();
+
+    // Each language has the home page and every project page, see localizedPath()
+    const localizedPages = LOCALES.flatMap((locale) => {
+        const home = localizedPath('/', locale);
+        return [
+            { route: home, file: home === '/' ? 'index.html' : `${home.slice(1)}/index.html`, page: 'home', locale },
+            ...projects.map(({ slug }) => {
+                const route = localizedPath(`/projects/${slug}`, locale);
+                return { route, file: `${route.slice(1)}/index.html`, page: 'project', locale, slug };
+            })
+        ];
+    });
+
+    return {
+        pages: [
+            ...localizedPages,
+            // Static hosts serve a single 404 page for every path
+            { route: '/404.html', file: '404.html', page: 'notFound', locale: DEFAULT_LOCALE }
+        ],
+        documents: DOCUMENTS,
+        redirects: SECTIONS.map(section => ({ route: `/${section}`, location: `/#${section}` })),
+        rewrites: [{ route: ADMIN_STATS_PATH, target: `${API_PREFIX}admin/stats` }],
+        api: API_ROUTES
+    };
+}
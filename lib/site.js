@@ -0,0 +1,50 @@
+/**
+ * Site content
+ * Loads content/site.json, the text of every section on the home page, and
+ * validates it against its JSON schema
+ */
+import path from 'node:path';
+import { cachedByMtime, contentDir, loadValidatedJson } from './content.js';
+
+const sitePath = path.join(contentDir, 'site.json');
+const schemaPath = path.join(contentDir, 'site.schema.json');
+
+/**
+ * Load the site content, throwing if it does not match the schema
+ * @param {string} [filePath] - File to load, defaults to content/site.json
+ * @returns {Promise<Object>} Validated site content
+ */
+export function loadSite(filePath = sitePath) {
+    return loadValidatedJson(filePath, schemaPath, 'site content');
+}
+
+/**
+ * Get the site content, loading it on first use and again whenever the file changes
+ * @returns {Promise<Object>} Validated site content
+ */
+export const getSite = cachedByMtime(sitePath, () => loadSite());
+
+/**
+ * Address used when neither SITE_URL nor content/site.json sets one, so pages still render locally
+ */
+export const LOCAL_SITE_URL = 'http://localhost:3000';
+
+/**
+ * Public address of the site, without a trailing slash
+ * @param {Object} site - Site content
+ * @param {Object} [env=process.env] - SITE_URL overrides the address in content/site.json
+ * @returns {string}
+ */
+export function siteUrl(site, env = process.env) {
+    return (env.SITE_URL || site.url || LOCAL_SITE_URL).replace(/\/$/, '');
+}
+
+/**
+ * Whether the public address is configured rather than the local fallback
+ * @param {Object} site - Site content
+ * @param {Object} [env=process.env]
+ * @returns {boolean}
+ */
+export function hasSiteUrl(site, env = process.env) {
+    return Boolean(env.SITE_URL || site.url);
+}
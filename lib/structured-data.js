@@ -0,0 +1,96 @@
+/**
+ * Structured data
+ * schema.org objects for the JSON-LD blocks on the pages
+ */
+
+/**
+ * Resolve a site path against the public address of the site
+ * @param {string} baseUrl - Public address, see siteUrl() in lib/site.js
+ * @param {string} url - Absolute or site-relative URL
+ * @returns {string}
+ */
+export function absoluteUrl(baseUrl, url) {
+    return new URL(url, `${baseUrl}/`).href;
+}
+
+/**
+ * Person block for the home page, built from the hero, experience and education sections
+ * @param {Object} site - Site content
+ * @param {string} baseUrl - Public address of the site
+ * @returns {Object}
+ */
+export function personJsonLd(site, baseUrl) {
+    const { person, contact } = site;
+    const linkTo = scheme => contact.links.find(link => link.url.startsWith(scheme));
+    const email = linkTo('mailto:');
+    const phone = linkTo('tel:');
+
+    // Organizations are listed once, even with several roles or qualifications there
+    const organizations = new Map();
+    site.education.forEach(item => {
+        // Drop qualifiers such as "— Grade 12 (2019)" from the institution name
+        const name = item.institution.split(' — ')[0];
+        organizations.set(name, { '@type': 'EducationalOrganization', name });
+    });
+    site.experience.forEach(item => {
+        if (!organizations.has(item.organization)) {
+            organizations.set(item.organization, { '@type': 'Organization', name: item.organization });
+        }
+    });
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: person.name,
+        jobTitle: person.headline,
+        description: site.description,
+        url: absoluteUrl(baseUrl, '/'),
+        image: absoluteUrl(baseUrl, person.image.url),
+        email: email ? email.url.slice('mailto:'.length) : undefined,
+        telephone: phone ? phone.url.slice('tel:'.length) : undefined,
+        sameAs: contact.links.filter(link => /^https?:/.test(link.url)).map(link => link.url),
+        alumniOf: [...organizations.values()],
+        hasOccupation: site.experience.map(item => ({
+            '@type': 'Occupation',
+            name: item.role,
+            description: item.highlights && item.highlights.length > 0 ? item.highlights.join(' ') : undefined
+        })),
+        hasCredential: site.certifications.map(certification => ({
+            '@type': 'EducationalOccupationalCredential',
+            name: certification.name
+        })),
+        knowsAbout: site.skills.flatMap(category => category.items.map(skill => skill.name))
+    };
+}
+
+/**
+ * CreativeWork block for a project page
+ * @param {Object} site - Site content
+ * @param {Object} project - Project from content/projects.json
+ * @param {string} baseUrl - Public address of the site
+ * @returns {Object}
+ */
+export function projectJsonLd(site, project, baseUrl) {
+    const sameAs = [project.projectUrl, project.codeUrl].filter(Boolean);
+    const images = project.media
+        .filter(item => item.type === 'image')
+        .map(item => absoluteUrl(baseUrl, item.url));
+
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'CreativeWork',
+        name: project.title,
+        headline: project.title,
+        abstract: project.summary,
+        description: project.description,
+        url: absoluteUrl(baseUrl, `/projects/${project.slug}`),
+        image: images.length > 0 ? images : undefined,
+        keywords: (project.technologies || []).join(', '),
+        sameAs: sameAs.length > 0 ? sameAs : undefined,
+        author: {
+            '@type': 'Person',
+            name: site.person.name,
+            url: absoluteUrl(baseUrl, '/')
+        }
+    };
+}
@@ -0,0 +1,36 @@
+import { defineConfig, devices } from '@playwright/test';
+
+const port = Number(process.env.E2E_PORT) || 3100;
+
+export default defineConfig({
+    testDir: 'test/e2e',
+    forbidOnly: !!process.env.CI,
+    retries: process.env.CI ? 1 : 0,
+    // One server and one browser are plenty for a smoke test
+    workers: 1,
+    reporter: process.env.CI ? [['list'], ['html', { open: 'never' }]] : 'list',
+    // A missing screenshot fails the run. The baselines are recorded on the CI image by
+    // .github/workflows/update-screenshots.yml, as fonts and rendering differ elsewhere.
+    updateSnapshots: 'none',
+    expect: {
+        toHaveScreenshot: { maxDiffPixelRatio: 0.01 }
+    },
+    use: {
+        ...devices['Desktop Chrome'],
+        baseURL: `http://127.0.0.1:${port}`,
+        colorScheme: 'dark',
+        locale: 'en-US',
+        reducedMotion: 'reduce',
+        // The service worker would answer requests the tests need to see
+        serviceWorkers: 'block',
+        trace: 'retain-on-failure'
+    },
+    // Serves the last build, so run npm run build first
+    webServer: {
+        command: 'node server.js',
+        url: `http://127.0.0.1:${port}/readyz`,
+        env: { PORT: String(port), HOST: '127.0.0.1', LOG_LEVEL: 'warn' },
+        reuseExistingServer: !process.env.CI,
+        timeout: 30000
+    }
+});
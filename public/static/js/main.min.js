@@ -1 +0,0 @@
-const CONFIG={scrollOffset:80,animationTriggerOffset:.7,animationElements:".timeline-item, .project-card, .about-content",navLinks:"nav a",sections:"section"};let elements={navLinks:null,sections:null,animatedElements:null};function init(){cacheDOMElements(),setupEventListeners(),setupInitialState(),initTypewriter()}function cacheDOMElements(){elements={navLinks:document.querySelectorAll(CONFIG.navLinks),sections:document.querySelectorAll(CONFIG.sections),animatedElements:document.querySelectorAll(CONFIG.animationElements)}}function setupEventListeners(){document.addEventListener("click",handleSmoothScroll),window.addEventListener("scroll",throttle(handleScroll,100)),window.addEventListener("resize",debounce(handleResize,200))}function setupInitialState(){elements.animatedElements.forEach(t=>{t.style.opacity="0",t.style.transform="translateY(20px)",t.style.transition="opacity 0.6s ease-out, transform 0.6s ease-out"}),animateOnScroll()}function handleSmoothScroll(t){const e=t.target.closest('a[href^="#"]');if(!e)return;t.preventDefault();const n=e.getAttribute("href");if("#"===n)return;const o=document.querySelector(n);o&&window.scrollTo({top:o.offsetTop-CONFIG.scrollOffset,behavior:"smooth"})}function handleScroll(){updateActiveNavLink(),animateOnScroll()}function updateActiveNavLink(){let t="";const e=window.scrollY;elements.sections.forEach(n=>{const o=n.offsetTop;n.clientHeight;e>=o-100&&(t=n.getAttribute("id"))}),elements.navLinks.forEach(e=>{e.classList.toggle("active",e.getAttribute("href")===`#${t}`)})}function animateOnScroll(){elements.animatedElements.forEach(t=>{t.getBoundingClientRect().top<window.innerHeight*CONFIG.animationTriggerOffset&&(t.style.opacity="1",t.style.transform="translateY(0)")})}function handleResize(){cacheDOMElements()}function throttle(t,e){let n;return function(){const o=arguments,i=this;n||(t.apply(i,o),n=!0,setTimeout(()=>n=!1,e))}}function debounce(t,e){let n;return function(){const o=this,i=arguments;clearTimeout(n),n=setTimeout(()=>t.apply(o,i),e)}}function initTypewriter(){const t=document.querySelector(".hero-subtitle");if(!t)return;const e=t.textContent.trim();t.textContent="";let n=0;const o=()=>{n<e.length&&(t.textContent+=e.charAt(n),n++,setTimeout(o,50))};setTimeout(o,1e3)}"loading"===document.readyState?document.addEventListener("DOMContentLoaded",init):init();const menuToggle=document.querySelector(".menu-toggle"),nav=document.querySelector("nav");menuToggle&&nav&&menuToggle.addEventListener("click",()=>{nav.classList.toggle("active"),menuToggle.classList.toggle("active")});const contactForm=document.getElementById("contact-form");contactForm&&contactForm.addEventListener("submit",function(t){t.preventDefault(),alert("Thank you for your message! I will get back to you soon."),this.reset()}),window.addEventListener("load",initTypewriter);
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * Production build
+ * Bundles and minifies static/js and static/css into content-hashed files under
+ * public/static, copies the remaining assets, generates the manifest icons and the
+ * responsive variants of the project images, renders the pages with
+ * scripts/generate.js and copies the server code into the Functions app in api/
+ */
+import { cp, readdir, readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as esbuild from 'esbuild';
+import sharp from 'sharp';
+import { generate } from './generate.js';
+import { hasVariants, variantUrl, variantWidths } from '../lib/media.js';
+import { getProjects } from '../lib/projects.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const sourceDir = path.join(rootDir, 'static');
+const publicDir = path.join(rootDir, 'public');
+const outputDir = path.join(publicDir, 'static');
+const apiDir = path.join(rootDir, 'api');
+
+// What api/index.js needs at runtime, as Azure deploys api/ on its own
+const apiSources = ['lib', 'templates', 'content'];
+
+// Bundled sources are emitted by esbuild, everything else is copied as-is
+const bundledDirs = ['js', 'css'];
+
+// Every icon listed in the web app manifest is resized from this image
+const iconSource = path.join(sourceDir, 'img', 'android-chrome-512x512.png');
+
+/**
+ * List the bundle entry points in static/js and static/css
+ * @returns {Promise<string[]>} Absolute paths of the entry points
+ */
+async function findEntryPoints() {
+    const entries = [];
+
+    for (const dir of bundledDirs) {
+        const files = await readdir(path.join(sourceDir, dir));
+        files
+            .filter(file => file.endsWith(`.${dir}`) && !file.endsWith(`.min.${dir}`))
+            .forEach(file => entries.push(path.join(sourceDir, dir, file)));
+    }
+
+    return entries;
+}
+
+/**
+ * Bundle and minify every entry point
+ * @param {string[]} entryPoints - Absolute paths of the entry points
+ * @returns {Promise<Object>} Asset manifest mapping source paths to hashed paths
+ */
+async function bundle(entryPoints) {
+    const result = await esbuild.build({
+        entryPoints,
+        outdir: outputDir,
+        outbase: sourceDir,
+        entryNames: '[dir]/[name].[hash].min',
+        bundle: true,
+        minify: true,
+        sourcemap: true,
+        format: 'iife',
+        target: ['es2020'],
+        metafile: true,
+        logLevel: 'warning'
+    });
+
+    const manifest = {};
+    const empty = [];
+
+    for (const [outputPath, output] of Object.entries(result.metafile.outputs)) {
+        if (!output.entryPoint) continue;
+
+        const source = toUrlPath(path.relative(sourceDir, path.resolve(rootDir, output.entryPoint)));
+        const hashed = toUrlPath(path.relative(outputDir, path.resolve(rootDir, outputPath)));
+        manifest[source] = hashed;
+
+        // The iife wrapper alone still has bytes, so count only code that came from the sources
+        const sourceBytes = Object.values(output.inputs).reduce((total, input) => total + input.bytesInOutput, 0);
+        if (sourceBytes === 0) empty.push(`${source} -> ${hashed}`);
+    }
+
+    if (empty.length > 0) {
+        throw new Error(`Build produced empty bundles:\n  ${empty.join('\n  ')}`);
+    }
+
+    return manifest;
+}
+
+/**
+ * Copy the assets that are not bundled (images, manifest, ...)
+ */
+async function copyAssets() {
+    await cp(sourceDir, outputDir, {
+        recursive: true,
+        filter: source => !bundledDirs.some(dir => source.startsWith(path.join(sourceDir, dir)))
+    });
+}
+
+/**
+ * Resize the source icon to every size the web app manifest lists
+ * @returns {Promise<number>} Number of icons written
+ */
+async function generateIcons() {
+    const webManifest = JSON.parse(await readFile(path.join(sourceDir, 'manifest.json'), 'utf8'));
+
+    for (const icon of webManifest.icons) {
+        const [width, height] = icon.sizes.split('x').map(Number);
+        const target = path.join(publicDir, icon.src);
+
+        await mkdir(path.dirname(target), { recursive: true });
+        await sharp(iconSource).resize(width, height).png().toFile(target);
+    }
+
+    return webManifest.icons.length;
+}
+
+/**
+ * Resize the local project images to the srcset widths, see lib/media.js.
+ * The width and height given in content/projects.json must match the file.
+ * @returns {Promise<number>} Number of variants written
+ */
+async function generateImageVariants() {
+    const projects = await getProjects();
+    let count = 0;
+
+    for (const project of projects) {
+        for (const item of project.media.filter(hasVariants)) {
+            const source = path.join(sourceDir, item.url.slice('/static/'.length));
+            const { width, height } = await sharp(source).metadata();
+            if (width !== item.width || height !== item.height) {
+                throw new Error(`${project.slug}: ${item.url} is ${width}x${height}, but content/projects.json says ${item.width}x${item.height}`);
+            }
+
+            for (const variantWidth of variantWidths(width)) {
+                const target = path.join(publicDir, variantUrl(item.url, variantWidth));
+                await mkdir(path.dirname(target), { recursive: true });
+                await sharp(source).resize(variantWidth).webp().toFile(target);
+                count++;
+            }
+        }
+    }
+
+    return count;
+}
+
+/**
+ * Copy the Express app and everything it reads into api/, keeping the layout so
+ * the paths lib/ resolves from its own location still hold
+ */
+async function packageApi() {
+    for (const dir of apiSources) {
+        await cp(path.join(rootDir, dir), path.join(apiDir, dir), { recursive: true });
+    }
+
+    const manifestPath = path.relative(rootDir, path.join(outputDir, 'asset-manifest.json'));
+    await cp(path.join(rootDir, manifestPath), path.join(apiDir, manifestPath));
+}
+
+function toUrlPath(filePath) {
+    return filePath.split(path.sep).join('/');
+}
+
+async function main() {
+    await mkdir(outputDir, { recursive: true });
+
+    const manifest = await bundle(await findEntryPoints());
+    await copyAssets();
+    const iconCount = await generateIcons();
+    const variantCount = await generateImageVariants();
+    await writeFile(path.join(outputDir, 'asset-manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`Built ${Object.keys(manifest).length} bundles, ${iconCount} icons and ${variantCount} image variants into ${path.relative(rootDir, outputDir)}`);
+
+    const pages = await generate();
+    console.log(`Generated ${pages.length} pages, the CV, sitemap.xml and robots.txt into ${path.relative(rootDir, publicDir)}`);
+
+    await packageApi();
+    console.log(`Copied ${apiSources.join(', ')} and the asset manifest into ${path.relative(rootDir, apiDir)}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,298 @@
+/**
+ * Static site generator
+ * Pre-renders every page and the CV from the content files into public/ for Azure Static Web Apps,
+ * writes sitemap.xml and robots.txt, checks that internal links resolve, and writes the
+ * service worker and the Static Web Apps routes and CSP. Pages and routes come from
+ * the known-routes table in lib/routes.js, which Express uses as well.
+ *
+ * Runs as the last step of `npm run build`, or on its own with `npm run generate`
+ * after content edits (the bundles must have been built once).
+ */
+import { access, mkdir, readFile, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import * as esbuild from 'esbuild';
+import { rimraf } from 'rimraf';
+import { getAssetManifest } from '../lib/assets.js';
+import { cspDirectives, hashInlineBlocks, reportingEndpoints, serializePolicy } from '../lib/csp.js';
+import { DEFAULT_LOCALE, LOCALES } from '../lib/i18n.js';
+import { renderDocument, renderHome, renderNotFound, renderProject } from '../lib/render.js';
+import { ADMIN_STATS_PATH, API_PREFIX, getKnownRoutes } from '../lib/routes.js';
+import { getSite, hasSiteUrl, siteUrl } from '../lib/site.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const publicDir = path.join(rootDir, 'public');
+
+const serviceWorkerTemplate = path.join(rootDir, 'scripts', 'templates', 'sw.js');
+// The committed settings, and the build output that adds the routes and the CSP to them
+const staticWebAppBaseConfig = path.join(rootDir, 'staticwebapp.config.json');
+const staticWebAppConfig = path.join(publicDir, 'staticwebapp.config.json');
+
+const renderers = {
+    home: ({ locale }) => renderHome(locale),
+    project: ({ slug, locale }) => renderProject(slug, locale),
+    notFound: ({ locale }) => renderNotFound(locale)
+};
+
+// Matches the headers Express sends with pages, see sendPage() in lib/app.js
+const pageHeaders = { 'Cache-Control': 'no-cache, no-store, must-revalidate' };
+
+// Built files, served with the same cache headers as Express
+const assetRoutes = [
+    {
+        route: '/sw.js',
+        headers: { 'Content-Type': 'application/javascript', 'Cache-Control': 'no-cache' }
+    },
+    {
+        route: '/static/manifest.json',
+        headers: { 'Content-Type': 'application/manifest+json', 'Cache-Control': 'no-cache' }
+    },
+    {
+        route: '/static/*',
+        headers: { 'Cache-Control': 'public, max-age=31536000, immutable' }
+    }
+];
+
+/**
+ * Render every known page
+ * @param {Object} routes - See getKnownRoutes()
+ * @returns {Promise<Array<{ route: string, file: string, html: string, sitemap: boolean }>>}
+ */
+async function renderPages(routes) {
+    const pages = [];
+    for (const entry of routes.pages) {
+        pages.push({
+            route: entry.route,
+            file: entry.file,
+            page: entry.page,
+            html: await renderers[entry.page](entry),
+            sitemap: entry.page !== 'notFound'
+        });
+    }
+    return pages;
+}
+
+/**
+ * Render the documents, such as the CV, into public/
+ * @param {Object} routes - See getKnownRoutes()
+ */
+async function writeDocuments(routes) {
+    for (const { file, document } of routes.documents) {
+        await writeFile(path.join(publicDir, file), await renderDocument(document));
+    }
+}
+
+async function writePages(pages) {
+    // Drop pages of projects that no longer exist, in every language
+    await rimraf([
+        path.join(publicDir, 'projects'),
+        ...LOCALES.filter(locale => locale !== DEFAULT_LOCALE).map(locale => path.join(publicDir, locale))
+    ]);
+
+    for (const page of pages) {
+        const target = path.join(publicDir, page.file);
+        await mkdir(path.dirname(target), { recursive: true });
+        await writeFile(target, page.html);
+    }
+}
+
+/**
+ * @param {string} baseUrl - Public address of the site
+ * @param {Object[]} pages - See renderPages()
+ */
+async function writeSitemap(baseUrl, pages) {
+    const urls = pages
+        .filter(page => page.sitemap)
+        .map(page => `  <url>\n    <loc>${baseUrl}${page.route}</loc>\n  </url>`);
+
+    await writeFile(path.join(publicDir, 'sitemap.xml'), [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n'));
+}
+
+async function writeRobots(baseUrl) {
+    await writeFile(path.join(publicDir, 'robots.txt'), [
+        'User-agent: *',
+        'Allow: /',
+        `Disallow: ${API_PREFIX}`,
+        `Disallow: ${path.posix.dirname(ADMIN_STATS_PATH)}/`,
+        '',
+        `Sitemap: ${baseUrl}/sitemap.xml`,
+        ''
+    ].join('\n'));
+}
+
+/**
+ * Check every internal href and src: the target must be a generated page or a
+ * file in public/, and a #fragment must match an id on the target page
+ * @param {Object[]} pages - See renderPages()
+ * @returns {Promise<string[]>} One message per broken link
+ */
+export async function findBrokenLinks(pages) {
+    const base = 'http://site.invalid';
+    const idsByRoute = new Map(pages.map(page => [
+        page.route,
+        new Set([...page.html.matchAll(/\sid="([^"]+)"/g)].map(([, id]) => id))
+    ]));
+
+    const exists = async (pathname) => {
+        try {
+            await access(path.join(publicDir, decodeURIComponent(pathname)));
+            return true;
+        } catch {
+            return false;
+        }
+    };
+
+    const broken = [];
+    for (const page of pages) {
+        for (const [, attribute, value] of page.html.matchAll(/\s(href|src)="([^"]*)"/g)) {
+            // Other sites, mailto: and tel: links are not ours to check
+            if (/^[a-z][a-z0-9+.-]*:/i.test(value) || value.startsWith('//')) continue;
+
+            const url = new URL(value, base + page.route);
+            const route = url.pathname.replace(/(.)\/$/, '$1');
+            if (route.startsWith(API_PREFIX)) continue;
+
+            const ids = idsByRoute.get(route);
+            if (!ids && !(await exists(url.pathname))) {
+                broken.push(`${page.route}: ${attribute}="${value}" does not exist`);
+            } else if (url.hash && ids && !ids.has(decodeURIComponent(url.hash.slice(1)))) {
+                broken.push(`${page.route}: ${attribute}="${value}" has no element with id "${url.hash.slice(1)}"`);
+            }
+        }
+    }
+
+    return broken;
+}
+
+/**
+ * Static Web Apps routes for the known routes. There is no catch-all: any other
+ * path is a 404 and gets 404.html, as it does from Express.
+ * @param {Object} routes - See getKnownRoutes()
+ * @returns {Object[]}
+ */
+function staticWebAppRoutes(routes) {
+    return [
+        ...assetRoutes,
+        ...routes.redirects.map(({ route, location }) => ({ route, redirect: location, statusCode: 301 })),
+        ...routes.rewrites.map(({ route, target }) => ({ route, rewrite: target })),
+        ...routes.pages.map(({ route, file }) => ({
+            route,
+            // Directory pages are stored as <route>/index.html
+            ...(route !== '/' && route !== `/${file}` ? { rewrite: `/${file}` } : {}),
+            headers: pageHeaders
+        })),
+        ...routes.documents.map(({ route, type }) => ({
+            route,
+            headers: { 'Content-Type': type, 'Cache-Control': 'public, max-age=0, must-revalidate' }
+        }))
+    ];
+}
+
+/**
+ * Write public/staticwebapp.config.json: the settings from staticwebapp.config.json
+ * plus the known routes and the CSP for the generated pages. Azure Static Web Apps
+ * cannot add nonces, so its CSP allows the inline blocks of the pages by hash.
+ * Express sends the same policy with a nonce instead.
+ * @param {Object} routes - See getKnownRoutes()
+ * @param {Object[]} pages - See renderPages()
+ */
+async function writeStaticWebAppConfig(routes, pages) {
+    const sources = { scriptSrc: new Set(), styleSrc: new Set() };
+    for (const page of pages) {
+        const hashes = hashInlineBlocks(page.html);
+        hashes.scriptSrc.forEach(hash => sources.scriptSrc.add(hash));
+        hashes.styleSrc.forEach(hash => sources.styleSrc.add(hash));
+    }
+
+    const config = JSON.parse(await readFile(staticWebAppBaseConfig, 'utf8'));
+    config.routes = staticWebAppRoutes(routes);
+    // No 401 override: the stats dashboard needs its Basic authentication challenge
+    config.responseOverrides = {
+        404: { rewrite: '/404.html', statusCode: 404 }
+    };
+    config.globalHeaders = {
+        ...config.globalHeaders,
+        'Content-Security-Policy': serializePolicy(cspDirectives({
+            scriptSrc: [...sources.scriptSrc],
+            styleSrc: [...sources.styleSrc]
+        })),
+        'Reporting-Endpoints': reportingEndpoints()
+    };
+    await writeFile(staticWebAppConfig, `${JSON.stringify(config, null, 2)}\n`);
+}
+
+/**
+ * Write public/sw.js with the precache list for this build
+ * @param {Object} manifest - Asset manifest, see lib/assets.js
+ * @param {Object[]} pages - See renderPages()
+ */
+async function generateServiceWorker(manifest, pages) {
+    // The home page of every language and the 404 page. The default home page is
+    // fetched as /index.html: Express sends / on to the visitor's language.
+    const precachePages = pages.filter(page => page.page === 'home' || page.page === 'notFound');
+    const precacheUrls = [
+        ...precachePages.map(page => (page.route === '/' ? `/${page.file}` : page.route)),
+        '/static/manifest.json',
+        ...Object.values(manifest).map(output => `/static/${output}`)
+    ];
+
+    // Pages and the web app manifest keep their names between builds, so their contents go into the version too
+    const hash = createHash('sha256').update(JSON.stringify(precacheUrls));
+    precachePages.forEach(page => hash.update(page.html));
+    hash.update(await readFile(path.join(publicDir, 'static', 'manifest.json')));
+
+    const template = await readFile(serviceWorkerTemplate, 'utf8');
+    const source = template
+        .replace('__CACHE_VERSION__', hash.digest('hex').slice(0, 12))
+        .replace('__PRECACHE_URLS__', JSON.stringify(precacheUrls));
+
+    const { code } = await esbuild.transform(source, { minify: true, target: 'es2020' });
+    await writeFile(path.join(publicDir, 'sw.js'), code);
+}
+
+/**
+ * Generate the static site into public/
+ * @returns {Promise<Object[]>} The generated pages
+ */
+export async function generate() {
+    const site = await getSite();
+    // A deployed build must not point its sitemap, canonical links and CV at localhost
+    if (process.env.CI && !hasSiteUrl(site)) {
+        throw new Error('Set SITE_URL to the public address of the site, e.g. https://example.com');
+    }
+    const baseUrl = siteUrl(site);
+
+    const routes = await getKnownRoutes();
+    const pages = await renderPages(routes);
+    await writePages(pages);
+    await writeDocuments(routes);
+    await writeSitemap(baseUrl, pages);
+    await writeRobots(baseUrl);
+
+    const broken = await findBrokenLinks(pages);
+    if (broken.length > 0) {
+        throw new Error(`Broken internal links:\n  ${broken.join('\n  ')}`);
+    }
+
+    await writeStaticWebAppConfig(routes, pages);
+    await generateServiceWorker(await getAssetManifest(), pages);
+
+    return pages;
+}
+
+// Run when called as `node scripts/generate.js`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    generate()
+        .then(pages => console.log(`Generated ${pages.length} pages, the CV, sitemap.xml and robots.txt into ${path.relative(rootDir, publicDir)}`))
+        .catch((error) => {
+            console.error(error.message);
+            process.exitCode = 1;
+        });
+}
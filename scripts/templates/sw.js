@@ -0,0 +1,117 @@
+/**
+ * Service Worker
+ * Generated by scripts/build.js from scripts/templates/sw.js: the build replaces
+ * the precache list and version below with the hashed assets of the current build.
+ *
+ * - Hashed scripts, styles, the home page of each language and the 404 page are
+ *   precached on install. Redirected responses are left out: a browser refuses
+ *   them as the answer to a navigation.
+ * - Pages are fetched from the network first, falling back to the cache and then
+ *   to 404.html when offline
+ * - Images are served stale-while-revalidate
+ * - API requests always go to the network
+ */
+const CACHE_VERSION = '__CACHE_VERSION__';
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const OFFLINE_FALLBACK = '/404.html';
+// The default home page is precached by its file name, see scripts/generate.js
+const HOME_PAGE = '/index.html';
+
+const PRECACHE = `precache-${CACHE_VERSION}`;
+const IMAGE_CACHE = 'images-v1';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== PRECACHE && key !== IMAGE_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname.startsWith('/api/')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(event, request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Fetch and store the precache list. Like cache.addAll(), fails the install when a
+ * request fails, but skips redirected responses, such as / sent on to /zu.
+ * @returns {Promise<void>}
+ */
+async function precache() {
+    const cache = await caches.open(PRECACHE);
+    await Promise.all(PRECACHE_URLS.map(async (url) => {
+        const response = await fetch(url, { cache: 'reload' });
+        if (!response.ok) throw new TypeError(`Could not precache ${url}: ${response.status}`);
+        if (!response.redirected) await cache.put(url, response);
+    }));
+}
+
+/**
+ * Pages: try the network, then the precached copy, then the offline fallback
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cache = await caches.open(PRECACHE);
+        const { pathname } = new URL(request.url);
+        return (await cache.match(pathname === '/' ? HOME_PAGE : request, { ignoreSearch: true })) ||
+            (await cache.match(OFFLINE_FALLBACK)) ||
+            Response.error();
+    }
+}
+
+/**
+ * Images: answer from the cache straight away and refresh it in the background
+ * @param {FetchEvent} event
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Hashed assets never change, so a cached copy is always current
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
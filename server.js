@@ -1,75 +1,57 @@
-const express = require('express');
-const path = require('path');
-const helmet = require('helmet');
-const compression = require('compression');
-const app = express();
-const port = 3000;
+import { createApp } from './lib/app.js';
+import { loadConfig } from './lib/config.js';
+import { createLogger } from './lib/logger.js';
+import { renderHome } from './lib/render.js';
 
-// Set security headers
-app.use(helmet({
-    contentSecurityPolicy: {
-        directives: {
-            defaultSrc: ["'self'"],
-            scriptSrc: ["'self'"],
-            styleSrc: ["'self'"],
-            imgSrc: ["'self'"],
-            connectSrc: ["'self'"],
-            fontSrc: ["'self'"],
-            objectSrc: ["'none'"],
-            mediaSrc: ["'self'"],
-            frameSrc: ["'none'"]
-        }
-    },
-    hsts: {
-        maxAge: 31536000,
-        includeSubDomains: true,
-        preload: true
-    },
-    frameguard: { action: 'deny' },
-    noSniff: true,
-    xssFilter: true
-}));
+const config = loadConfig();
+const logger = createLogger({ level: config.logLevel });
 
-// Enable gzip compression
-app.use(compression());
+// Render the home page up front so bad content fails the boot, not a request
+try {
+    await renderHome();
+} catch (error) {
+    logger.error('Could not render the home page', { error });
+    process.exit(1);
+}
 
-// Set cache control headers
-const oneYear = 31536000;
-app.use(express.static(path.join(__dirname, 'public'), {
-    maxAge: oneYear,
-    setHeaders: (res, filePath) => {
-        if (filePath.endsWith('.html')) {
-            res.setHeader('Cache-Control', 'public, max-age=0');
-        } else if (filePath.endsWith('.svg')) {
-            res.setHeader('Content-Type', 'image/svg+xml');
-            res.setHeader('Cache-Control', `public, max-age=${oneYear}, immutable`);
-        } else if (filePath.endsWith('.ico')) {
-            res.setHeader('Content-Type', 'image/x-icon');
-            res.setHeader('Cache-Control', `public, max-age=${oneYear}, immutable`);
-        } else if (filePath.match(/\.(js|css)$/)) {
-            res.setHeader('Cache-Control', `public, max-age=${oneYear}, immutable`);
-        }
-    }
-}));
+const app = createApp({ logger });
+
+// Start the server
+const server = app.listen(config.port, config.host, () => {
+    const { address, port } = server.address();
+    logger.info('Listening', { address, port });
+});
+
+/**
+ * Stop accepting connections and let in-flight requests finish. The readiness
+ * probe fails straight away so a load balancer stops sending traffic; requests
+ * still running after SHUTDOWN_TIMEOUT_MS are cut off.
+ * @param {string} signal
+ */
+function shutdown(signal) {
+    if (app.locals.draining) return;
+    app.locals.draining = true;
+    logger.info('Shutting down', { signal });
 
-// Serve index.html for all routes
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'), {
-        headers: {
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'Pragma': 'no-cache',
-            'Expires': '0'
+    server.close((error) => {
+        if (error) {
+            logger.error('Shutdown failed', { error });
+            process.exit(1);
         }
+        logger.info('Stopped');
+        process.exit(0);
     });
-});
 
-// Error handling
-app.use((req, res) => {
-    res.status(404).sendFile(path.join(__dirname, 'public', '404.html'));
-});
+    // Keep-alive connections with no request in flight would hold close() open
+    server.closeIdleConnections();
 
-// Start the server
-const server = app.listen(port, '0.0.0.0', () => {
-    const host = server.address().address;
-    // No console.log in production
-});
+    setTimeout(() => {
+        logger.warn('Requests still running after the shutdown timeout, closing them', {
+            timeoutMs: config.shutdownTimeoutMs
+        });
+        server.closeAllConnections();
+    }, config.shutdownTimeoutMs).unref();
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,199 @@
+/**
+ * Analytics Beacon
+ * First-party, cookie-free usage events sent to /api/events: page views, home page
+ * sections seen, project modal opens and clicks on outbound links. Nothing is
+ * recorded when the browser sends Do Not Track or Global Privacy Control.
+ */
+class Analytics {
+    static defaultOptions = {
+        endpoint: '/api/events',
+        sectionSelector: 'main section[id]',
+        sectionThreshold: 0.5,
+        flushDelay: 2000,
+        maxBatch: 20
+    };
+
+    // Outbound link kinds by host, anything else is "other"
+    static outboundHosts = {
+        'linkedin.com': 'linkedin',
+        'github.com': 'github'
+    };
+
+    /**
+     * @returns {boolean} Whether the visitor asked not to be tracked
+     */
+    static isOptedOut() {
+        return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+    }
+
+    constructor(options = {}) {
+        this.options = { ...Analytics.defaultOptions, ...options };
+        this.queue = [];
+        this.flushTimer = null;
+        this.seenSections = new Set();
+        this.observer = null;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleModalOpen = this.handleModalOpen.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.flush = this.flush.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.track('pageview', { referrer: this.externalReferrer() });
+        this.observeSections();
+
+        document.addEventListener('click', this.handleClick, true);
+        document.addEventListener('projectModal:open', this.handleModalOpen);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        window.addEventListener('pagehide', this.flush);
+    }
+
+    /**
+     * Queue an event and schedule sending it
+     * @param {string} type - pageview, section, modal_open or outbound
+     * @param {Object} [data] - Fields for this type
+     */
+    track(type, data = {}) {
+        this.queue.push({ type, path: window.location.pathname, ...data });
+
+        if (this.queue.length >= this.options.maxBatch) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(this.flush, this.options.flushDelay);
+        }
+    }
+
+    /**
+     * Send the queued events. sendBeacon survives the page being closed;
+     * fetch with keepalive is the fallback.
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.queue.length === 0) return;
+
+        const body = JSON.stringify({ events: this.queue.splice(0, this.options.maxBatch) });
+        const sent = typeof navigator.sendBeacon === 'function'
+            && navigator.sendBeacon(this.options.endpoint, new Blob([body], { type: 'application/json' }));
+
+        if (!sent) {
+            fetch(this.options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true,
+                credentials: 'omit'
+            }).catch(() => {
+                // Analytics must never get in the way of the page
+            });
+        }
+
+        if (this.queue.length > 0) this.flush();
+    }
+
+    /**
+     * @returns {string|undefined} Host of the referring site, only when it is another site
+     */
+    externalReferrer() {
+        try {
+            const referrer = new URL(document.referrer);
+            return referrer.origin === window.location.origin ? undefined : referrer.hostname;
+        } catch {
+            return undefined;
+        }
+    }
+
+    observeSections() {
+        const sections = document.querySelectorAll(this.options.sectionSelector);
+        if (sections.length === 0 || !('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting || this.seenSections.has(entry.target.id)) return;
+                this.seenSections.add(entry.target.id);
+                this.observer.unobserve(entry.target);
+                this.track('section', { section: entry.target.id });
+            });
+        }, { threshold: this.options.sectionThreshold });
+
+        sections.forEach(section => this.observer.observe(section));
+    }
+
+    handleModalOpen(e) {
+        const project = e.detail && e.detail.project;
+        if (project && project.slug) {
+            this.track('modal_open', { project: project.slug });
+        }
+    }
+
+    handleClick(e) {
+        const link = e.target.closest && e.target.closest('a[href]');
+        if (!link) return;
+
+        const kind = this.outboundKind(link.href);
+        if (!kind) return;
+
+        const event = { kind };
+        // The named kinds already say where the link went
+        if (kind === 'other') {
+            event.host = new URL(link.href).hostname;
+        }
+        this.track('outbound', event);
+        // The page is about to be left, so don't wait for the timer
+        this.flush();
+    }
+
+    /**
+     * @param {string} href - Resolved link target
+     * @returns {string|null} Outbound kind, or null for links within the site
+     */
+    outboundKind(href) {
+        let url;
+        try {
+            url = new URL(href);
+        } catch {
+            return null;
+        }
+
+        // Only the kind of contact link is kept, never the address itself
+        if (url.protocol === 'mailto:') return 'email';
+        if (url.protocol === 'tel:') return 'phone';
+        if (!/^https?:$/.test(url.protocol) || url.origin === window.location.origin) return null;
+
+        const host = url.hostname.replace(/^www\./, '');
+        const match = Object.keys(Analytics.outboundHosts)
+            .find(domain => host === domain || host.endsWith(`.${domain}`));
+        return match ? Analytics.outboundHosts[match] : 'other';
+    }
+
+    handleVisibilityChange() {
+        if (document.visibilityState === 'hidden') this.flush();
+    }
+
+    destroy() {
+        this.flush();
+        if (this.observer) this.observer.disconnect();
+        document.removeEventListener('click', this.handleClick, true);
+        document.removeEventListener('projectModal:open', this.handleModalOpen);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        window.removeEventListener('pagehide', this.flush);
+    }
+}
+
+// Initialize analytics when DOM is loaded
+const initAnalytics = () => {
+    if (window.analytics || Analytics.isOptedOut()) return;
+    window.analytics = new Analytics();
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initAnalytics);
+} else {
+    initAnalytics();
+}
+
+// Expose the Analytics class globally
+window.Analytics = Analytics;
@@ -0,0 +1,93 @@
+/**
+ * Translations
+ * Interface strings for the markup the scripts build in the browser. The server
+ * embeds the strings of the page's language in a JSON block (see lib/i18n.js);
+ * this class looks them up and fills in data-i18n attributes. It also remembers
+ * the language picked in the header, so / sends the visitor to it next time.
+ */
+class I18n {
+    static defaultOptions = {
+        dataSelector: '#i18n-messages',
+        switcherSelector: '[data-locale]',
+        // Keep in sync with LOCALE_COOKIE in lib/i18n.js
+        cookieName: 'lang',
+        cookieMaxAge: 365 * 24 * 60 * 60
+    };
+
+    constructor(options = {}) {
+        this.options = { ...I18n.defaultOptions, ...options };
+        const data = I18n.readData(this.options.dataSelector);
+        this.locale = data.locale || document.documentElement.lang || 'en';
+        this.messages = data.messages || {};
+
+        this.handleClick = this.handleClick.bind(this);
+        document.addEventListener('click', this.handleClick);
+    }
+
+    /**
+     * @param {string} selector - The JSON block
+     * @returns {{ locale?: string, messages?: Object }}
+     */
+    static readData(selector) {
+        const element = document.querySelector(selector);
+        if (!element) return {};
+        try {
+            return JSON.parse(element.textContent);
+        } catch (error) {
+            console.error('Invalid translations:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Look up a string
+     * @param {string} key - Dotted key, e.g. "modal.close"
+     * @param {Object} [params] - Values for the {name} placeholders
+     * @returns {string} The string, or the key itself when there is none
+     */
+    t(key, params = {}) {
+        const message = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), this.messages);
+        if (typeof message !== 'string') return key;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Translate markup: data-i18n="key" sets the text, data-i18n-label="key" the
+     * aria-label and data-i18n-placeholder="key" the placeholder
+     * @param {ParentNode} [root=document]
+     */
+    apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.setAttribute('placeholder', this.t(element.dataset.i18nPlaceholder));
+        });
+    }
+
+    /**
+     * Remember the language for pages requested without a language prefix
+     * @param {string} locale
+     */
+    remember(locale) {
+        document.cookie = `${this.options.cookieName}=${encodeURIComponent(locale)}; path=/; max-age=${this.options.cookieMaxAge}; samesite=lax`;
+    }
+
+    handleClick(e) {
+        const link = e.target.closest(this.options.switcherSelector);
+        if (link) this.remember(link.dataset.locale);
+    }
+
+    destroy() {
+        document.removeEventListener('click', this.handleClick);
+    }
+}
+
+// The JSON block sits in <head>, so the strings are there before the other scripts load
+window.i18n = new I18n();
+
+// Expose the I18n class globally
+window.I18n = I18n;
@@ -0,0 +1,167 @@
+/**
+ * Matrix Rain Renderer
+ * Drawing state and frame loop for the matrix rain. Runs against any 2D context,
+ * so the same code draws on the main thread or inside matrix-worker.js on an OffscreenCanvas.
+ */
+
+// Prefer the display-synced frame callback, which dedicated workers also have in most browsers
+const scheduleFrame = typeof requestAnimationFrame === 'function'
+    ? callback => requestAnimationFrame(callback)
+    : callback => setTimeout(() => callback(performance.now()), 16);
+
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+    ? id => cancelAnimationFrame(id)
+    : id => clearTimeout(id);
+
+export class MatrixRenderer {
+    /**
+     * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Context to draw on
+     * @param {Object} options - See MatrixRain.defaultOptions
+     */
+    constructor(ctx, options) {
+        this.ctx = ctx;
+        this.options = options;
+        this.width = 0;
+        this.height = 0;
+        this.drops = [];
+        this.dropColors = [];
+        this.frameId = null;
+        this.lastFrame = 0;
+        this.frame = this.frame.bind(this);
+    }
+
+    /**
+     * Size the drawing buffer and reset the columns
+     * @param {number} width - CSS pixel width
+     * @param {number} height - CSS pixel height
+     * @param {number} dpr - Device pixel ratio
+     */
+    resize(width, height, dpr) {
+        this.width = width;
+        this.height = height;
+        this.dpr = dpr;
+
+        this.ctx.canvas.width = Math.round(width * dpr);
+        this.ctx.canvas.height = Math.round(height * dpr);
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.ctx.font = `${this.options.fontSize}px ${this.options.fontFamily}`;
+
+        const { fontSize, density, colors } = this.options;
+        const columns = Math.floor((width * density) / fontSize);
+        this.drops = Array.from({ length: columns }, () => Math.random() * -100);
+        this.dropColors = Array.from({ length: columns }, () => colors[Math.floor(Math.random() * colors.length)]);
+
+        this.clear();
+    }
+
+    /**
+     * Merge new options. Changes to the grid rebuild the columns; a change of
+     * colors only repaints them, so a theme switch doesn't restart the rain.
+     * @param {Object} options - See MatrixRain.defaultOptions
+     */
+    setOptions(options) {
+        const previous = this.options;
+        this.options = { ...previous, ...options };
+        if (!this.width) return;
+
+        const { colors, background } = this.options;
+        const colorsOnly = Object.keys(options).every(key => key === 'colors' || key === 'background' ||
+            options[key] === previous[key]);
+        if (!colorsOnly) {
+            this.resize(this.width, this.height, this.dpr);
+            return;
+        }
+
+        this.dropColors = this.dropColors.map(() => colors[Math.floor(Math.random() * colors.length)]);
+        if (background !== previous.background) this.clear();
+    }
+
+    start() {
+        if (this.frameId !== null) return;
+        this.lastFrame = 0;
+        this.frameId = scheduleFrame(this.frame);
+    }
+
+    stop() {
+        if (this.frameId === null) return;
+        cancelFrame(this.frameId);
+        this.frameId = null;
+    }
+
+    destroy() {
+        this.stop();
+    }
+
+    clear() {
+        this.ctx.globalAlpha = 1;
+        this.ctx.fillStyle = this.options.background;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    frame(timestamp) {
+        this.frameId = scheduleFrame(this.frame);
+
+        const minInterval = 1000 / this.options.maxFps;
+        if (this.lastFrame && timestamp - this.lastFrame < minInterval) return;
+
+        const deltaTime = this.lastFrame ? timestamp - this.lastFrame : minInterval;
+        this.lastFrame = timestamp;
+        this.draw(deltaTime);
+    }
+
+    /**
+     * Draw one step of the animation
+     * @param {number} deltaTime - Milliseconds since the previous step
+     */
+    draw(deltaTime) {
+        const { ctx } = this;
+        const { charset, fontSize, density, speed, fadeFactor, background } = this.options;
+        const columnWidth = fontSize / density;
+
+        // Paint a translucent background over the last frame for the trail effect
+        ctx.globalAlpha = fadeFactor;
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        for (let i = 0; i < this.drops.length; i++) {
+            const y = this.drops[i] * fontSize;
+
+            if (y > 0 && y < this.height + fontSize) {
+                ctx.globalAlpha = Math.min(1, (y / (this.height * 0.5)) * 0.8);
+                ctx.fillStyle = this.dropColors[i];
+                ctx.fillText(charset[Math.floor(Math.random() * charset.length)], i * columnWidth, y);
+            }
+
+            // Drops speed up as they fall
+            this.drops[i] += speed * (1 + (y / this.height) * 2) * (deltaTime / 16);
+
+            if (y > this.height + fontSize * 2 && Math.random() > 0.98) {
+                this.drops[i] = 0;
+            }
+        }
+
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw a single still frame for people who prefer reduced motion
+     */
+    drawStatic() {
+        const { ctx } = this;
+        const { charset, fontSize, density } = this.options;
+        const columnWidth = fontSize / density;
+
+        this.clear();
+        for (let i = 0; i < this.drops.length; i++) {
+            const length = Math.floor(Math.random() * 8);
+            const start = Math.floor(Math.random() * (this.height / fontSize));
+
+            for (let row = 0; row < length; row++) {
+                ctx.globalAlpha = (row + 1) / length;
+                ctx.fillStyle = this.dropColors[i];
+                ctx.fillText(charset[Math.floor(Math.random() * charset.length)], i * columnWidth, (start + row) * fontSize);
+            }
+        }
+        ctx.globalAlpha = 1;
+    }
+}
@@ -6,7 +6,10 @@
 // Configuration
 const CONFIG = {
     scrollOffset: 80,
-    animationTriggerOffset: 0.7,
+    animationTriggerOffset: 0.7,    // Reveal once an element's top passes 70% of the viewport
+    revealThreshold: 0,             // Share of the element that must be in that area
+    spyOffset: 100,                 // A section is current once its top is this far from the viewport top
+    spyThrottle: 100,               // Milliseconds between scroll checks without IntersectionObserver
     animationElements: '.timeline-item, .project-card, .about-content',
     navLinks: 'nav a',
     sections: 'section'
@@ -19,6 +22,18 @@ let elements = {
     animatedElements: null
 };
 
+// Intersection observers
+const observers = {
+    reveal: null,
+    spy: null
+};
+
+// Elements already given their hidden starting state
+const preparedElements = new WeakSet();
+
+// Scroll listener standing in for the scroll-spy observer without IntersectionObserver
+let spyScrollHandler = null;
+
 /**
  * Initialize the application
  */
@@ -47,26 +62,53 @@ function setupEventListeners() {
     // Smooth scrolling for anchor links
     document.addEventListener('click', handleSmoothScroll);
     
-    // Scroll events with throttling
-    window.addEventListener('scroll', throttle(handleScroll, 100));
-    
     // Handle window resize with debounce
     window.addEventListener('resize', debounce(handleResize, 200));
+    
+    // Project cards are rendered from the catalog after load
+    document.addEventListener('projects:rendered', handleProjectsRendered);
 }
 
 /**
  * Set initial state for animations and other elements
  */
 function setupInitialState() {
-    // Set initial state for animations
-    elements.animatedElements.forEach(el => {
+    prepareAnimatedElements(elements.animatedElements);
+    setupRevealObserver();
+    setupScrollSpy();
+}
+
+/**
+ * Set the hidden starting state for elements that animate into view
+ * @param {NodeList|Element[]} targets - Elements to prepare
+ */
+function prepareAnimatedElements(targets) {
+    targets.forEach(el => {
+        if (preparedElements.has(el)) return;
+        preparedElements.add(el);
         el.style.opacity = '0';
         el.style.transform = 'translateY(20px)';
         el.style.transition = 'opacity 0.6s ease-out, transform 0.6s ease-out';
     });
+}
+
+/**
+ * Pick up project cards rendered from the catalog. Server-rendered cards the
+ * catalog reused are already prepared and observed, so they are skipped.
+ */
+function handleProjectsRendered() {
+    cacheDOMElements();
     
-    // Trigger initial animations
-    animateOnScroll();
+    const cards = Array.from(document.querySelectorAll('.projects-grid .project-card'))
+        .filter(card => !preparedElements.has(card));
+    prepareAnimatedElements(cards);
+    cards.forEach(card => {
+        if (observers.reveal) {
+            observers.reveal.observe(card);
+        } else {
+            revealElement(card);
+        }
+    });
 }
 
 /**
@@ -77,8 +119,11 @@ function handleSmoothScroll(e) {
     const target = e.target.closest('a[href^="#"]');
     if (!target) return;
     
-    e.preventDefault();
+    // #/projects/<slug> and other #/ routes are handled by the project modal
     const targetId = target.getAttribute('href');
+    if (targetId.startsWith('#/')) return;
+    
+    e.preventDefault();
     if (targetId === '#') return;
     
     const targetElement = document.querySelector(targetId);
@@ -91,45 +136,111 @@ function handleSmoothScroll(e) {
 }
 
 /**
- * Handle scroll events
+ * Observe animated elements and reveal each one the first time it scrolls into view
+ */
+function setupRevealObserver() {
+    if (!('IntersectionObserver' in window)) {
+        elements.animatedElements.forEach(revealElement);
+        return;
+    }
+    
+    const bottomMargin = Math.round((1 - CONFIG.animationTriggerOffset) * 100);
+    observers.reveal = new IntersectionObserver(handleRevealEntries, {
+        rootMargin: `0px 0px -${bottomMargin}% 0px`,
+        threshold: CONFIG.revealThreshold
+    });
+    elements.animatedElements.forEach(element => observers.reveal.observe(element));
+}
+
+/**
+ * Reveal elements entering the trigger area, then stop watching them
+ * @param {IntersectionObserverEntry[]} entries - Observed changes
+ * @param {IntersectionObserver} observer - The reveal observer
  */
-function handleScroll() {
-    updateActiveNavLink();
-    animateOnScroll();
+function handleRevealEntries(entries, observer) {
+    entries.forEach(entry => {
+        // Elements already above the viewport (e.g. after jumping to a section) count as seen
+        if (entry.isIntersecting || entry.boundingClientRect.top < 0) {
+            revealElement(entry.target);
+            observer.unobserve(entry.target);
+        }
+    });
 }
 
 /**
- * Update active navigation link based on scroll position
+ * Show an animated element in its final state
+ * @param {Element} element - Element to reveal
  */
-function updateActiveNavLink() {
-    let current = '';
-    const scrollPosition = window.scrollY;
+function revealElement(element) {
+    element.style.opacity = '1';
+    element.style.transform = 'translateY(0)';
+}
+
+/**
+ * Watch a one-pixel line CONFIG.spyOffset below the viewport top; the section
+ * crossing it is the current one. Rebuilt on resize as the margin depends on the viewport height.
+ * Without IntersectionObserver, the sections are checked on scroll instead.
+ */
+function setupScrollSpy() {
+    if (observers.spy) observers.spy.disconnect();
+    observers.spy = null;
+    if (elements.navLinks.length === 0) return;
     
-    elements.sections.forEach(section => {
-        const sectionTop = section.offsetTop;
-        const sectionHeight = section.clientHeight;
-        
-        if (scrollPosition >= sectionTop - 100) {
-            current = section.getAttribute('id');
+    if (!('IntersectionObserver' in window)) {
+        if (!spyScrollHandler) {
+            spyScrollHandler = throttle(updateSpyFromScroll, CONFIG.spyThrottle);
+            window.addEventListener('scroll', spyScrollHandler, { passive: true });
         }
-    });
+        updateSpyFromScroll();
+        return;
+    }
     
-    elements.navLinks.forEach(link => {
-        link.classList.toggle('active', link.getAttribute('href') === `#${current}`);
+    const bottomMargin = Math.max(0, window.innerHeight - CONFIG.spyOffset - 1);
+    observers.spy = new IntersectionObserver(handleSpyEntries, {
+        rootMargin: `-${CONFIG.spyOffset}px 0px -${bottomMargin}px 0px`,
+        threshold: 0
     });
+    elements.sections.forEach(section => observers.spy.observe(section));
 }
 
 /**
- * Animate elements when they come into view
+ * Activate the nav link for the section crossing the scroll-spy line
+ * @param {IntersectionObserverEntry[]} entries - Observed changes
  */
-function animateOnScroll() {
-    elements.animatedElements.forEach(element => {
-        const elementPosition = element.getBoundingClientRect().top;
-        const screenPosition = window.innerHeight * CONFIG.animationTriggerOffset;
-            
-        if (elementPosition < screenPosition) {
-            element.style.opacity = '1';
-            element.style.transform = 'translateY(0)';
+function handleSpyEntries(entries) {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            updateActiveNavLink(entry.target.getAttribute('id') || '');
+        }
+    });
+}
+
+/**
+ * Activate the nav link for the last section whose top has passed the scroll-spy line
+ */
+function updateSpyFromScroll() {
+    const line = window.scrollY + CONFIG.spyOffset;
+    let current = '';
+    elements.sections.forEach(section => {
+        if (section.getBoundingClientRect().top + window.scrollY <= line) {
+            current = section.getAttribute('id') || '';
+        }
+    });
+    updateActiveNavLink(current);
+}
+
+/**
+ * Mark the nav link pointing at the current section
+ * @param {string} current - Id of the current section, empty for none
+ */
+function updateActiveNavLink(current) {
+    elements.navLinks.forEach(link => {
+        const isActive = current !== '' && link.getAttribute('href') === `#${current}`;
+        link.classList.toggle('active', isActive);
+        if (isActive) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
         }
     });
 }
@@ -140,6 +251,7 @@ function animateOnScroll() {
 function handleResize() {
     // Re-cache DOM elements that might change on resize
     cacheDOMElements();
+    setupScrollSpy();
 }
 
 /**
@@ -181,7 +293,8 @@ function debounce(func, wait) {
  * Initialize typewriter effect for the hero section
  */
 function initTypewriter() {
-    const heroSubtitle = document.querySelector('.hero-subtitle');
+    // The headline under the name, see templates/partials/hero.js
+    const heroSubtitle = document.querySelector('.hero .subtitle');
     if (!heroSubtitle) return;
 
     const text = heroSubtitle.textContent.trim();
@@ -208,27 +321,130 @@ if (document.readyState === 'loading') {
     init();
 }
 
-// Mobile menu toggle (if you add a mobile menu later)
+// Offline support: the service worker is generated by the build (see scripts/templates/sw.js)
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    });
+}
+
+// Mobile menu toggle in the site header
 const menuToggle = document.querySelector('.menu-toggle');
 const nav = document.querySelector('nav');
     
 if (menuToggle && nav) {
     menuToggle.addEventListener('click', () => {
-        nav.classList.toggle('active');
-        menuToggle.classList.toggle('active');
+        const open = nav.classList.toggle('active');
+        menuToggle.classList.toggle('active', open);
+        menuToggle.setAttribute('aria-expanded', String(open));
+    });
+    
+    // Close the menu once a section is picked
+    nav.addEventListener('click', (e) => {
+        if (!e.target.closest('.nav-link')) return;
+        nav.classList.remove('active');
+        menuToggle.classList.remove('active');
+        menuToggle.setAttribute('aria-expanded', 'false');
     });
 }
 
-// Form submission handling (if you add a contact form later)
+// Contact form submission
 const contactForm = document.getElementById('contact-form');
 if (contactForm) {
-    contactForm.addEventListener('submit', function(e) {
-        e.preventDefault();
-        // Add form submission logic here
-        alert('Thank you for your message! I will get back to you soon.');
-        this.reset();
+    contactForm.addEventListener('submit', handleContactSubmit);
+}
+
+/**
+ * Submit the contact form to the API and show the outcome inline
+ * @param {Event} e - The submit event
+ */
+async function handleContactSubmit(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const submitButton = form.querySelector('[type="submit"]');
+    
+    clearContactErrors(form);
+    setContactStatus(form, '', null);
+    submitButton.disabled = true;
+    
+    try {
+        const response = await fetch(form.action, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                // Field errors come back in the language of the page
+                'Accept-Language': document.documentElement.lang
+            },
+            body: JSON.stringify(Object.fromEntries(new FormData(form)))
+        });
+        const result = await response.json().catch(() => ({}));
+        
+        if (response.ok) {
+            form.reset();
+            setContactStatus(form, i18n.t('contact.sent'), 'success');
+        } else if (result.errors) {
+            showContactErrors(form, result.errors);
+            setContactStatus(form, i18n.t('contact.fixFields'), 'error');
+        } else {
+            setContactStatus(form, result.error || i18n.t('contact.failed'), 'error');
+        }
+    } catch (error) {
+        console.error('Error sending message:', error);
+        setContactStatus(form, i18n.t('contact.offline'), 'error');
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/**
+ * Show field errors returned by the API next to their inputs
+ * @param {HTMLFormElement} form - The contact form
+ * @param {Object} errors - Error messages keyed by field name
+ */
+function showContactErrors(form, errors) {
+    let firstInvalid = null;
+    
+    Object.entries(errors).forEach(([name, message]) => {
+        const field = form.elements[name];
+        const errorElement = form.querySelector(`[data-error-for="${name}"]`);
+        if (!field || !errorElement) return;
+        
+        field.setAttribute('aria-invalid', 'true');
+        errorElement.textContent = message;
+        errorElement.hidden = false;
+        firstInvalid = firstInvalid || field;
+    });
+    
+    if (firstInvalid) firstInvalid.focus();
+}
+
+/**
+ * Reset all inline field errors
+ * @param {HTMLFormElement} form - The contact form
+ */
+function clearContactErrors(form) {
+    form.querySelectorAll('[aria-invalid]').forEach(field => field.removeAttribute('aria-invalid'));
+    form.querySelectorAll('.form-error').forEach(errorElement => {
+        errorElement.textContent = '';
+        errorElement.hidden = true;
     });
 }
 
-// Initialize typewriter effect when the page loads
-window.addEventListener('load', initTypewriter);
+/**
+ * Update the form status message
+ * @param {HTMLFormElement} form - The contact form
+ * @param {string} message - Text to show, empty to hide
+ * @param {'success'|'error'|null} state - Visual state of the message
+ */
+function setContactStatus(form, message, state) {
+    const status = form.querySelector('.form-status');
+    if (!status) return;
+    
+    status.textContent = message;
+    status.hidden = !message;
+    status.classList.toggle('is-success', state === 'success');
+    status.classList.toggle('is-error', state === 'error');
+}
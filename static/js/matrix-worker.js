@@ -0,0 +1,34 @@
+/**
+ * Matrix Rain Worker
+ * Draws the matrix rain on an OffscreenCanvas transferred from MatrixRain,
+ * keeping the per-frame fillText work off the main thread
+ *
+ * Messages:
+ *   { type: 'init', canvas, options }
+ *   { type: 'resize' | 'setOptions' | 'start' | 'stop' | 'drawStatic', args }
+ */
+import { MatrixRenderer } from './lib/matrix-renderer.js';
+
+const COMMANDS = ['resize', 'setOptions', 'start', 'stop', 'drawStatic'];
+
+let renderer = null;
+
+self.addEventListener('message', (e) => {
+    const { type, args = [] } = e.data;
+
+    if (type === 'init') {
+        renderer = new MatrixRenderer(e.data.canvas.getContext('2d'), e.data.options);
+        return;
+    }
+
+    if (type === 'destroy') {
+        if (renderer) renderer.destroy();
+        renderer = null;
+        self.close();
+        return;
+    }
+
+    if (renderer && COMMANDS.includes(type)) {
+        renderer[type](...args);
+    }
+});
@@ -0,0 +1,279 @@
+/**
+ * Matrix Rain Effect
+ * Canvas "digital rain" background shared by the home page and the 404 page
+ *
+ * Usage:
+ *   const rain = new MatrixRain('matrix-canvas', { colors: ['#00ff41'] });
+ *   rain.stop();
+ *   rain.destroy();
+ *
+ * The target may be a canvas or a container element (a canvas is created inside it).
+ * When a workerUrl is given and the browser supports OffscreenCanvas, drawing happens
+ * in matrix-worker.js and this class only forwards resize and visibility changes.
+ */
+import { MatrixRenderer } from './lib/matrix-renderer.js';
+
+class MatrixRain {
+    static defaultOptions = {
+        charset: '01',
+        fontSize: 16,
+        fontFamily: 'monospace',
+        colors: ['#00ff41'],
+        background: '#000000',
+        speed: 1.2,           // Rows advanced per frame at 60fps
+        density: 1.2,         // Columns per character width
+        fadeFactor: 0.03,     // Opacity of the background painted over each frame
+        maxFps: 30,
+        respectReducedMotion: true,
+        autoStart: true,
+        workerUrl: null       // URL of matrix-worker.js, enables OffscreenCanvas rendering
+    };
+
+    /**
+     * @param {string|HTMLElement} target - Canvas or container element, or its id
+     * @param {Object} [options] - See MatrixRain.defaultOptions
+     */
+    constructor(target, options = {}) {
+        this.options = { ...MatrixRain.defaultOptions, ...options };
+        this.target = typeof target === 'string' ? document.getElementById(target) : target;
+        if (!this.target) return;
+
+        if (this.target instanceof HTMLCanvasElement) {
+            this.canvas = this.target;
+            this.ownsCanvas = false;
+        } else {
+            this.canvas = document.createElement('canvas');
+            this.target.appendChild(this.canvas);
+            this.ownsCanvas = true;
+        }
+
+        this.running = false;
+        this.animating = false;
+        this.pageVisible = !document.hidden;
+        this.onScreen = true;
+
+        this.handleResize = debounce(this.resize.bind(this), 100);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleMotionChange = this.handleMotionChange.bind(this);
+
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        this.renderer = this.createWorkerRenderer() || this.createMainThreadRenderer();
+
+        window.addEventListener('resize', this.handleResize);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        this.reducedMotion.addEventListener('change', this.handleMotionChange);
+
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(entries => {
+                this.onScreen = entries[entries.length - 1].isIntersecting;
+                this.updateLoop();
+            });
+            this.observer.observe(this.canvas);
+        }
+
+        this.resize();
+        if (this.options.autoStart) this.start();
+    }
+
+    /**
+     * Whether drawing happens in a Web Worker rather than on the main thread
+     * @returns {boolean}
+     */
+    get usesWorker() {
+        return Boolean(this.worker);
+    }
+
+    /**
+     * Hand the canvas to matrix-worker.js if the browser can draw off the main thread
+     * @returns {Object|null} Renderer proxy, or null to draw on the main thread
+     */
+    createWorkerRenderer() {
+        const supported = this.options.workerUrl &&
+            typeof Worker === 'function' &&
+            typeof OffscreenCanvas === 'function' &&
+            typeof this.canvas.transferControlToOffscreen === 'function';
+        if (!supported) return null;
+
+        let worker;
+        let offscreen;
+        try {
+            worker = new Worker(this.options.workerUrl);
+            offscreen = this.canvas.transferControlToOffscreen();
+        } catch (error) {
+            if (worker) worker.terminate();
+            console.warn('Matrix worker unavailable, drawing on the main thread:', error);
+            return null;
+        }
+
+        worker.postMessage({ type: 'init', canvas: offscreen, options: this.rendererOptions() }, [offscreen]);
+
+        // A worker that fails to load has already taken the canvas, so swap in a fresh one
+        worker.addEventListener('error', (e) => {
+            e.preventDefault();
+            console.warn('Matrix worker failed, drawing on the main thread:', e.message);
+            this.fallbackToMainThread();
+        });
+
+        this.worker = worker;
+        const send = type => (...args) => worker.postMessage({ type, args });
+        return {
+            resize: send('resize'),
+            setOptions: send('setOptions'),
+            start: send('start'),
+            stop: send('stop'),
+            drawStatic: send('drawStatic'),
+            destroy: () => worker.postMessage({ type: 'destroy' })
+        };
+    }
+
+    createMainThreadRenderer() {
+        return new MatrixRenderer(this.canvas.getContext('2d'), this.rendererOptions());
+    }
+
+    fallbackToMainThread() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        if (this.observer) {
+            this.observer.unobserve(this.canvas);
+            this.observer.observe(canvas);
+        }
+        if (this.target === this.canvas) this.target = canvas;
+        this.canvas = canvas;
+
+        this.renderer = this.createMainThreadRenderer();
+        this.animating = false;
+        this.resize();
+        this.updateLoop();
+    }
+
+    /**
+     * Options passed to the renderer, which may live in a worker and cannot receive functions
+     * @returns {Object}
+     */
+    rendererOptions() {
+        const { workerUrl, autoStart, respectReducedMotion, ...options } = this.options;
+        return options;
+    }
+
+    /**
+     * Start (or resume) the animation
+     */
+    start() {
+        if (!this.renderer) return;
+        this.running = true;
+        this.updateLoop();
+    }
+
+    /**
+     * Pause the animation, leaving the last frame on the canvas
+     */
+    stop() {
+        this.running = false;
+        this.updateLoop();
+    }
+
+    /**
+     * Stop the animation and remove every listener, observer, worker and created element
+     */
+    destroy() {
+        if (!this.renderer) return;
+
+        this.stop();
+        this.renderer.destroy();
+        this.renderer = null;
+        this.worker = null;
+
+        window.removeEventListener('resize', this.handleResize);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.reducedMotion.removeEventListener('change', this.handleMotionChange);
+        if (this.observer) this.observer.disconnect();
+
+        if (this.ownsCanvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+        this.canvas = null;
+    }
+
+    /**
+     * Merge new options into the running effect, e.g. to change colors live
+     * @param {Object} options - See MatrixRain.defaultOptions
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+        if (!this.renderer) return;
+
+        this.renderer.setOptions(this.rendererOptions());
+        if (this.prefersReducedMotion) this.renderer.drawStatic();
+    }
+
+    get prefersReducedMotion() {
+        return this.options.respectReducedMotion && this.reducedMotion.matches;
+    }
+
+    /**
+     * Run the frame loop only while started, visible, on screen and motion is allowed
+     */
+    updateLoop() {
+        if (!this.renderer) return;
+        const shouldAnimate = this.running && this.pageVisible && this.onScreen && !this.prefersReducedMotion;
+        if (shouldAnimate === this.animating) return;
+
+        this.animating = shouldAnimate;
+        if (shouldAnimate) {
+            this.renderer.start();
+        } else {
+            this.renderer.stop();
+        }
+    }
+
+    handleVisibilityChange() {
+        this.pageVisible = !document.hidden;
+        this.updateLoop();
+    }
+
+    handleMotionChange() {
+        if (this.prefersReducedMotion) this.renderer.drawStatic();
+        this.updateLoop();
+    }
+
+    measure() {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            width: rect.width || window.innerWidth,
+            height: rect.height || window.innerHeight,
+            dpr: window.devicePixelRatio || 1
+        };
+    }
+
+    resize() {
+        if (!this.renderer) return;
+
+        const { width, height, dpr } = this.measure();
+        this.renderer.resize(width, height, dpr);
+        if (this.prefersReducedMotion) this.renderer.drawStatic();
+    }
+}
+
+/**
+ * Debounce function to delay function execution
+ * @param {Function} func - The function to debounce
+ * @param {number} wait - Time in milliseconds
+ * @returns {Function} Debounced function
+ */
+function debounce(func, wait) {
+    let timeout;
+    return function() {
+        const context = this;
+        const args = arguments;
+        clearTimeout(timeout);
+        timeout = setTimeout(() => func.apply(context, args), wait);
+    };
+}
+
+// Expose the MatrixRain class globally
+window.MatrixRain = MatrixRain;
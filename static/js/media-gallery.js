@@ -0,0 +1,288 @@
+/**
+ * Media Gallery Component
+ * Carousel of a project's screenshots, videos and code snippets with arrow keys,
+ * swipe and thumbnails. Items come prepared in the project catalog (see lib/media.js):
+ * images carry their srcset and code snippets their highlighted HTML.
+ */
+class MediaGallery {
+    static defaultOptions = {
+        // Project title, used in the gallery's accessible name
+        label: 'Project',
+        // The gallery takes half of the 800px modal on wide screens, the full width otherwise
+        sizes: '(min-width: 768px) 370px, 90vw',
+        swipeThreshold: 50
+    };
+
+    /**
+     * @param {Element} container - Element the gallery is rendered into
+     * @param {Object[]} items - Media items of the project
+     * @param {Object} [options]
+     */
+    constructor(container, items = [], options = {}) {
+        this.options = { ...MediaGallery.defaultOptions, ...options };
+        this.container = container;
+        this.items = items;
+        this.index = 0;
+        this.slides = [];
+        this.thumbs = [];
+        this.pointerStart = null;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = () => { this.pointerStart = null; };
+
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = '';
+        this.container.hidden = this.items.length === 0;
+        if (this.items.length === 0) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'media-gallery';
+        this.element.setAttribute('role', 'region');
+        this.element.setAttribute('aria-roledescription', 'carousel');
+        this.element.setAttribute('aria-label', i18n.t('gallery.label', { title: this.options.label }));
+
+        this.viewport = document.createElement('div');
+        this.viewport.className = 'media-viewport';
+        this.slides = this.items.map((item, index) => {
+            const slide = this.createItem(item, { eager: index === 0 });
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', i18n.t('gallery.slide', { current: index + 1, total: this.items.length }));
+            this.viewport.appendChild(slide);
+            return slide;
+        });
+        this.element.appendChild(this.viewport);
+
+        if (this.items.length > 1) {
+            // Arrow keys work once focus is anywhere inside the gallery
+            this.element.tabIndex = 0;
+            this.element.appendChild(this.createControls());
+            this.element.appendChild(this.createThumbnails());
+            this.element.addEventListener('keydown', this.handleKeyDown);
+            this.viewport.addEventListener('pointerdown', this.handlePointerDown);
+            this.viewport.addEventListener('pointerup', this.handlePointerUp);
+            this.viewport.addEventListener('pointercancel', this.handlePointerCancel);
+        }
+
+        this.status = document.createElement('p');
+        this.status.className = 'sr-only';
+        this.status.setAttribute('aria-live', 'polite');
+        this.element.appendChild(this.status);
+
+        this.container.appendChild(this.element);
+        this.show(0, { announce: false });
+    }
+
+    /**
+     * Build the markup for one item, the same as templates/partials/media.js
+     * @param {Object} item - Media item
+     * @param {Object} [options]
+     * @param {boolean} [options.eager=false] - Load the image straight away
+     * @returns {HTMLElement} A <figure>
+     */
+    createItem(item, { eager = false } = {}) {
+        const figure = document.createElement('figure');
+        figure.className = `media-item media-${item.type}`;
+
+        if (item.type === 'image') {
+            const img = document.createElement('img');
+            img.src = item.url;
+            img.alt = item.alt || '';
+            if (item.srcset) {
+                img.srcset = item.srcset;
+                img.sizes = this.options.sizes;
+            }
+            if (item.width && item.height) {
+                img.width = item.width;
+                img.height = item.height;
+            }
+            // Hidden slides are not displayed, so lazy images wait until they are shown
+            img.loading = eager ? 'eager' : 'lazy';
+            img.decoding = 'async';
+            figure.appendChild(img);
+        } else if (item.type === 'video') {
+            const video = document.createElement('video');
+            video.src = item.url;
+            if (item.poster) video.poster = item.poster;
+            video.controls = true;
+            video.preload = 'none';
+            video.playsInline = true;
+            figure.appendChild(video);
+        } else if (item.type === 'code') {
+            const pre = document.createElement('pre');
+            const code = document.createElement('code');
+            code.className = item.language ? `hljs language-${item.language}` : 'hljs';
+            // Highlighted and escaped on the server
+            code.innerHTML = item.html;
+            pre.appendChild(code);
+            figure.appendChild(pre);
+        }
+
+        if (item.caption) {
+            const caption = document.createElement('figcaption');
+            caption.textContent = item.caption;
+            figure.appendChild(caption);
+        }
+
+        return figure;
+    }
+
+    createControls() {
+        const controls = document.createDocumentFragment();
+
+        this.prevButton = document.createElement('button');
+        this.prevButton.type = 'button';
+        this.prevButton.className = 'media-nav media-prev';
+        this.prevButton.setAttribute('aria-label', i18n.t('gallery.previous'));
+        this.prevButton.innerHTML = '&lsaquo;';
+        this.prevButton.addEventListener('click', () => this.previous());
+
+        this.nextButton = document.createElement('button');
+        this.nextButton.type = 'button';
+        this.nextButton.className = 'media-nav media-next';
+        this.nextButton.setAttribute('aria-label', i18n.t('gallery.next'));
+        this.nextButton.innerHTML = '&rsaquo;';
+        this.nextButton.addEventListener('click', () => this.next());
+
+        controls.appendChild(this.prevButton);
+        controls.appendChild(this.nextButton);
+        return controls;
+    }
+
+    createThumbnails() {
+        const list = document.createElement('div');
+        list.className = 'media-thumbs';
+        list.setAttribute('role', 'group');
+        list.setAttribute('aria-label', i18n.t('gallery.thumbs'));
+
+        this.thumbs = this.items.map((item, index) => {
+            const thumb = document.createElement('button');
+            thumb.type = 'button';
+            thumb.className = `media-thumb media-thumb-${item.type}`;
+            thumb.setAttribute('aria-label', item.caption
+                ? i18n.t('gallery.showCaption', { index: index + 1, caption: item.caption })
+                : i18n.t('gallery.show', { index: index + 1 }));
+
+            const preview = item.type === 'image' ? item.url : item.poster;
+            if (preview) {
+                const img = document.createElement('img');
+                // The smallest variant is plenty for a thumbnail
+                img.src = item.srcset ? item.srcset.split(',')[0].trim().split(' ')[0] : preview;
+                img.alt = '';
+                img.loading = 'lazy';
+                img.decoding = 'async';
+                thumb.appendChild(img);
+            } else {
+                thumb.textContent = item.type === 'code' ? '</>' : '▶';
+            }
+
+            thumb.addEventListener('click', () => this.show(index));
+            list.appendChild(thumb);
+            return thumb;
+        });
+
+        return list;
+    }
+
+    /**
+     * Show one item
+     * @param {number} index - Wraps around at both ends
+     * @param {Object} [options]
+     * @param {boolean} [options.announce=true] - Tell screen readers about the change
+     */
+    show(index, { announce = true } = {}) {
+        if (this.slides.length === 0) return;
+
+        this.index = (index + this.slides.length) % this.slides.length;
+        this.slides.forEach((slide, i) => {
+            slide.hidden = i !== this.index;
+            // Leaving a slide stops its video
+            const video = slide.querySelector('video');
+            if (video && i !== this.index) video.pause();
+        });
+        this.thumbs.forEach((thumb, i) => {
+            thumb.classList.toggle('active', i === this.index);
+            thumb.setAttribute('aria-current', i === this.index ? 'true' : 'false');
+        });
+
+        if (announce && this.status) {
+            const { caption } = this.items[this.index];
+            const position = { current: this.index + 1, total: this.slides.length, caption };
+            this.status.textContent = i18n.t(caption ? 'gallery.statusCaption' : 'gallery.status', position);
+        }
+    }
+
+    next() {
+        this.show(this.index + 1);
+    }
+
+    previous() {
+        this.show(this.index - 1);
+    }
+
+    handleKeyDown(e) {
+        const keys = {
+            ArrowLeft: () => this.previous(),
+            ArrowRight: () => this.next(),
+            Home: () => this.show(0),
+            End: () => this.show(this.slides.length - 1)
+        };
+        if (!keys[e.key] || e.target.closest('video')) return;
+
+        // Handled here, so other arrow key handlers such as the modal's leave it alone
+        e.preventDefault();
+        keys[e.key]();
+    }
+
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse') return;
+        this.pointerStart = { x: e.clientX, y: e.clientY };
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointerStart) return;
+
+        const dx = e.clientX - this.pointerStart.x;
+        const dy = e.clientY - this.pointerStart.y;
+        this.pointerStart = null;
+
+        // Mostly sideways and far enough to be a swipe rather than a tap or a scroll
+        if (Math.abs(dx) < this.options.swipeThreshold || Math.abs(dx) < Math.abs(dy)) return;
+        if (dx < 0) {
+            this.next();
+        } else {
+            this.previous();
+        }
+    }
+
+    /**
+     * Stop any playing video, e.g. when the modal closes
+     */
+    pause() {
+        this.slides.forEach(slide => {
+            const video = slide.querySelector('video');
+            if (video) video.pause();
+        });
+    }
+
+    destroy() {
+        this.pause();
+        if (this.element) {
+            this.element.removeEventListener('keydown', this.handleKeyDown);
+            this.viewport.removeEventListener('pointerdown', this.handlePointerDown);
+            this.viewport.removeEventListener('pointerup', this.handlePointerUp);
+            this.viewport.removeEventListener('pointercancel', this.handlePointerCancel);
+        }
+        this.container.innerHTML = '';
+        this.slides = [];
+        this.thumbs = [];
+    }
+}
+
+// Expose the MediaGallery class globally
+window.MediaGallery = MediaGallery;
@@ -0,0 +1,245 @@
+/**
+ * Project Filters Component
+ * Technology tag chips and free-text search over the projects grid, mirrored in the query string
+ */
+class ProjectFilters {
+    static defaultOptions = {
+        gridSelector: '.projects-grid',
+        tagParam: 'tag',
+        searchParam: 'q',
+        animationDuration: 250,
+        searchDelay: 150
+    };
+
+    constructor(catalog, options = {}) {
+        this.options = { ...ProjectFilters.defaultOptions, ...options };
+        this.catalog = catalog;
+        this.grid = document.querySelector(this.options.gridSelector);
+        this.selectedTags = new Set();
+        this.query = '';
+        this.searchTimer = null;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        if (!this.grid) return;
+        this.readFromUrl();
+        this.createBar();
+    }
+
+    createBar() {
+        this.bar = document.createElement('div');
+        this.bar.className = 'project-filters';
+        this.bar.setAttribute('role', 'search');
+        this.bar.setAttribute('aria-label', i18n.t('filters.label'));
+
+        this.bar.innerHTML = `
+            <label class="sr-only" for="project-search" data-i18n="filters.search"></label>
+            <input id="project-search" class="form-control project-search" type="search"
+                   data-i18n-placeholder="filters.placeholder" autocomplete="off">
+            <div class="filter-tags" role="group" data-i18n-label="filters.tags"></div>
+            <div class="filter-summary">
+                <p class="filter-count" aria-live="polite"></p>
+                <button type="button" class="filter-clear" data-i18n="filters.clear" hidden></button>
+            </div>
+        `;
+        i18n.apply(this.bar);
+
+        this.searchInput = this.bar.querySelector('.project-search');
+        this.tagsElement = this.bar.querySelector('.filter-tags');
+        this.countElement = this.bar.querySelector('.filter-count');
+        this.clearButton = this.bar.querySelector('.filter-clear');
+        this.searchInput.value = this.query;
+
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.query = this.searchInput.value.trim();
+                this.update();
+            }, this.options.searchDelay);
+        });
+
+        this.tagsElement.addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-tag');
+            if (!chip) return;
+            this.toggleTag(chip.dataset.tag);
+        });
+
+        this.clearButton.addEventListener('click', () => this.clear());
+
+        this.grid.parentNode.insertBefore(this.bar, this.grid);
+    }
+
+    /**
+     * Rebuild the tag chips from the union of every project's technologies
+     */
+    renderTags() {
+        const tags = [...new Set(this.catalog.projects.flatMap(project => project.technologies || []))]
+            .sort((a, b) => a.localeCompare(b));
+
+        // Drop selections that no longer exist, e.g. from a stale shared link
+        this.selectedTags.forEach(tag => {
+            if (!tags.includes(tag)) this.selectedTags.delete(tag);
+        });
+
+        this.tagsElement.innerHTML = '';
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-tag';
+            chip.dataset.tag = tag;
+            chip.textContent = tag;
+            chip.setAttribute('aria-pressed', String(this.selectedTags.has(tag)));
+            this.tagsElement.appendChild(chip);
+        });
+    }
+
+    toggleTag(tag) {
+        if (this.selectedTags.has(tag)) {
+            this.selectedTags.delete(tag);
+        } else {
+            this.selectedTags.add(tag);
+        }
+
+        const chip = this.tagsElement.querySelector(`[data-tag="${CSS.escape(tag)}"]`);
+        if (chip) chip.setAttribute('aria-pressed', String(this.selectedTags.has(tag)));
+
+        this.update();
+    }
+
+    clear() {
+        this.selectedTags.clear();
+        this.query = '';
+        this.searchInput.value = '';
+        this.tagsElement.querySelectorAll('.filter-tag').forEach(chip => chip.setAttribute('aria-pressed', 'false'));
+        this.update();
+    }
+
+    /**
+     * A project matches when it has every selected tag and the search text
+     * appears in its title or description
+     * @param {Object} project - Project data from the catalog
+     * @returns {boolean}
+     */
+    matches(project) {
+        const technologies = project.technologies || [];
+        for (const tag of this.selectedTags) {
+            if (!technologies.includes(tag)) return false;
+        }
+
+        if (!this.query) return true;
+        const haystack = `${project.title} ${project.summary || ''} ${project.description || ''}`.toLowerCase();
+        return this.query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
+    }
+
+    update() {
+        this.apply();
+        this.writeToUrl();
+    }
+
+    /**
+     * Show the cards that match the active filters and hide the rest
+     */
+    apply() {
+        const cards = this.grid.querySelectorAll('.project-card');
+        let visible = 0;
+
+        cards.forEach(card => {
+            const project = this.catalog.getProject(card);
+            const show = !project || this.matches(project);
+            if (show) visible++;
+            this.setCardVisible(card, show);
+        });
+
+        const filtered = this.selectedTags.size > 0 || this.query !== '';
+        this.countElement.textContent = filtered
+            ? i18n.t('filters.count', { visible, total: cards.length })
+            : '';
+        if (filtered && visible === 0) {
+            this.countElement.textContent = i18n.t('filters.none');
+        }
+        this.clearButton.hidden = !filtered;
+    }
+
+    setCardVisible(card, show) {
+        const isHidden = card.hidden || card.dataset.filterState === 'hiding';
+        if (show === !isHidden) return;
+
+        if (card.filterAnimation) card.filterAnimation.cancel();
+
+        if (this.reducedMotion.matches || typeof card.animate !== 'function') {
+            card.hidden = !show;
+            delete card.dataset.filterState;
+            return;
+        }
+
+        const frames = [
+            { opacity: 0, transform: 'scale(0.95)' },
+            { opacity: 1, transform: 'scale(1)' }
+        ];
+
+        if (show) {
+            card.hidden = false;
+            delete card.dataset.filterState;
+            card.filterAnimation = card.animate(frames, { duration: this.options.animationDuration, easing: 'ease-out' });
+        } else {
+            card.dataset.filterState = 'hiding';
+            card.filterAnimation = card.animate(frames.slice().reverse(), {
+                duration: this.options.animationDuration,
+                easing: 'ease-in'
+            });
+            card.filterAnimation.onfinish = () => {
+                card.hidden = true;
+                delete card.dataset.filterState;
+            };
+        }
+    }
+
+    readFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        this.selectedTags = new Set(params.getAll(this.options.tagParam));
+        this.query = (params.get(this.options.searchParam) || '').trim();
+    }
+
+    /**
+     * Mirror the filters in the query string so a filtered view can be shared
+     */
+    writeToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        params.delete(this.options.tagParam);
+        params.delete(this.options.searchParam);
+        this.selectedTags.forEach(tag => params.append(this.options.tagParam, tag));
+        if (this.query) params.set(this.options.searchParam, this.query);
+
+        const search = params.toString();
+        const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+        // Keep the current history state, the project modal stores its route there
+        history.replaceState(history.state, '', url);
+    }
+}
+
+// Build the filter bar once the catalog has rendered the cards
+const initProjectFilters = () => {
+    let filters = null;
+
+    const setup = () => {
+        if (!window.projectCatalog) return;
+        if (!filters) {
+            filters = new ProjectFilters(window.projectCatalog);
+            window.projectFilters = filters;
+        }
+        if (!filters.bar) return;
+        filters.renderTags();
+        filters.apply();
+    };
+
+    document.addEventListener('projects:rendered', setup);
+    if (window.projectCatalog && window.projectCatalog.projects.length > 0) setup();
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProjectFilters);
+} else {
+    initProjectFilters();
+}
+
+// Expose the ProjectFilters class globally
+window.ProjectFilters = ProjectFilters;
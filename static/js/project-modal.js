@@ -1,17 +1,54 @@
 /**
  * Project Modal Component
- * Handles the display and interaction with project modals
+ * Handles the display and interaction with project modals. While open, the rest of
+ * the page is inert and focus stays in the dialog; closing hands focus back to
+ * whatever opened it. Labels come from the page's translations, see i18n.js.
  */
 class ProjectModal {
     static defaultOptions = {
         animationDuration: 300,
         closeOnEsc: true,
-        closeOnOverlayClick: true
+        closeOnOverlayClick: true,
+        updateHistory: true,
+        routePrefix: '#/projects/',
+        // Returns the projects previous/next walk through, in order
+        getSequence: () => []
     };
 
+    /**
+     * Read the project slug from a #/projects/<slug> hash
+     * @param {string} [hash] - Defaults to the current location hash
+     * @returns {string|null} The slug, or null if the hash is not a project route
+     */
+    static slugFromHash(hash = window.location.hash) {
+        const prefix = ProjectModal.defaultOptions.routePrefix;
+        if (!hash.startsWith(prefix) || hash.length === prefix.length) return null;
+        try {
+            return decodeURIComponent(hash.slice(prefix.length));
+        } catch {
+            // A hand-edited or truncated link, e.g. #/projects/%E0%A4%A
+            return null;
+        }
+    }
+
     constructor(options = {}) {
         this.options = { ...ProjectModal.defaultOptions, ...options };
         this.isOpen = false;
+        this.project = null;
+        this.gallery = null;
+        this.pushedHistory = false;
+        this.preloaded = new Set();
+        this.returnFocus = null;
+        this.inertElements = [];
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleClose = () => this.close();
+        this.handleOverlayClick = () => {
+            if (this.options.closeOnOverlayClick) this.close();
+        };
+        this.handlePrevious = () => this.previous();
+        this.handleNext = () => this.next();
+
         this.init();
     }
 
@@ -25,26 +62,33 @@ class ProjectModal {
         this.modal.className = 'project-modal';
         this.modal.setAttribute('role', 'dialog');
         this.modal.setAttribute('aria-modal', 'true');
+        this.modal.setAttribute('aria-labelledby', 'project-modal-title');
         this.modal.setAttribute('aria-hidden', 'true');
         
         this.modal.innerHTML = `
             <div class="modal-overlay" tabindex="-1" data-modal-close></div>
             <div class="modal-content" role="document">
-                <button class="modal-close" aria-label="Close modal">&times;</button>
+                <button type="button" class="modal-close" data-i18n-label="modal.close">&times;</button>
                 <div class="modal-body">
                     <div class="project-media"></div>
                     <div class="project-details">
-                        <h2 class="project-title"></h2>
+                        <h2 class="project-title" id="project-modal-title" tabindex="-1"></h2>
                         <div class="project-description"></div>
                         <div class="project-technologies"></div>
                         <div class="project-links">
-                            <a href="#" class="btn btn-primary project-link" target="_blank" rel="noopener">View Project</a>
-                            <a href="#" class="btn btn-outline" target="_blank" rel="noopener">View Code</a>
+                            <a href="#" class="btn btn-primary project-link" target="_blank" rel="noopener" data-i18n="project.view"></a>
+                            <a href="#" class="btn btn-outline" target="_blank" rel="noopener" data-i18n="project.code"></a>
                         </div>
                     </div>
                 </div>
+                <nav class="modal-pager" data-i18n-label="modal.pager" hidden>
+                    <button type="button" class="modal-prev" data-i18n-label="modal.previous">&larr;</button>
+                    <span class="modal-position" aria-live="polite"></span>
+                    <button type="button" class="modal-next" data-i18n-label="modal.next">&rarr;</button>
+                </nav>
             </div>
         `;
+        i18n.apply(this.modal);
 
         document.body.appendChild(this.modal);
         this.overlay = this.modal.querySelector('.modal-overlay');
@@ -55,73 +99,264 @@ class ProjectModal {
         this.mediaElement = this.modal.querySelector('.project-media');
         this.projectLink = this.modal.querySelector('.project-link');
         this.codeLink = this.modal.querySelector('.btn-outline');
+        this.pager = this.modal.querySelector('.modal-pager');
+        this.prevButton = this.modal.querySelector('.modal-prev');
+        this.nextButton = this.modal.querySelector('.modal-next');
+        this.positionElement = this.modal.querySelector('.modal-position');
     }
 
     bindEvents() {
-        this.closeButton.addEventListener('click', () => this.close());
-        this.overlay.addEventListener('click', () => {
-            if (this.options.closeOnOverlayClick) this.close();
-        });
+        this.closeButton.addEventListener('click', this.handleClose);
+        this.overlay.addEventListener('click', this.handleOverlayClick);
+        this.prevButton.addEventListener('click', this.handlePrevious);
+        this.nextButton.addEventListener('click', this.handleNext);
         
-        if (this.options.closeOnEsc) {
-            document.addEventListener('keydown', this.handleKeyDown.bind(this));
-        }
+        document.addEventListener('keydown', this.handleKeyDown);
     }
 
     handleKeyDown(e) {
-        if (e.key === 'Escape' && this.isOpen) {
+        if (e.key === 'Escape' && this.isOpen && this.options.closeOnEsc) {
             this.close();
         }
         
+        // The media gallery uses the same keys and marks the ones it handled; videos seek with them
+        const step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+        const free = !e.defaultPrevented && !e.altKey && !e.ctrlKey && !e.metaKey && !(e.target instanceof HTMLMediaElement);
+        if (step && this.isOpen && free) {
+            e.preventDefault();
+            this.step(step);
+        }
+        
         if (e.key === 'Tab' && this.isOpen) {
             this.trapFocus(e);
         }
     }
 
+    /**
+     * Elements in the dialog that Tab can reach, in order
+     * @returns {HTMLElement[]}
+     */
+    getFocusableElements() {
+        return Array.from(this.modal.querySelectorAll(
+            'button, [href], input, select, textarea, video[controls], [tabindex]:not([tabindex="-1"])'
+        )).filter(element => !element.disabled &&
+            !element.closest('[hidden]') &&
+            getComputedStyle(element).display !== 'none');
+    }
+
+    /**
+     * Keep Tab and Shift+Tab cycling inside the dialog
+     * @param {KeyboardEvent} e
+     */
     trapFocus(e) {
-        const focusableElements = this.modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
+        const focusableElements = this.getFocusableElements();
+        if (focusableElements.length === 0) return;
         
         const firstElement = focusableElements[0];
         const lastElement = focusableElements[focusableElements.length - 1];
+        // Focus starts on the title, which Tab does not stop at
+        const outside = !focusableElements.includes(document.activeElement);
         
-        if (e.shiftKey && document.activeElement === firstElement) {
+        if (e.shiftKey && (outside || document.activeElement === firstElement)) {
             e.preventDefault();
             lastElement.focus();
-        } else if (!e.shiftKey && document.activeElement === lastElement) {
+        } else if (!e.shiftKey && (outside || document.activeElement === lastElement)) {
             e.preventDefault();
             firstElement.focus();
         }
     }
 
-    open(project) {
-        if (this.isOpen) return;
+    /**
+     * Make everything outside the dialog inert, so neither focus nor screen readers leave it
+     */
+    setBackgroundInert() {
+        this.inertElements = Array.from(document.body.children).filter(element =>
+            element !== this.modal && !element.inert && !element.hasAttribute('inert') &&
+            !['SCRIPT', 'STYLE', 'TEMPLATE'].includes(element.tagName));
+        this.inertElements.forEach(element => element.setAttribute('inert', ''));
+    }
+
+    releaseBackground() {
+        this.inertElements.forEach(element => element.removeAttribute('inert'));
+        this.inertElements = [];
+    }
+
+    /**
+     * Show a project in the modal
+     * @param {Object} project - Project data from the catalog
+     * @param {Object} [options]
+     * @param {boolean} [options.fromHistory=false] - Opened from the URL, so do not push a history entry
+     */
+    open(project, { fromHistory = false } = {}) {
+        if (this.isOpen && this.project === project) return;
         
         this.updateContent(project);
-        this.modal.setAttribute('aria-hidden', 'false');
-        this.modal.classList.add('active');
-        document.body.style.overflow = 'hidden';
-        this.isOpen = true;
-        this.modal.focus();
+        this.project = project;
+        this.updatePager();
+        
+        // Moving between projects replaces the entry, so Back still closes the modal
+        if (!fromHistory) this.pushRoute(project, { replace: this.isOpen });
+        
+        if (!this.isOpen) {
+            // Moving between projects keeps the element that first opened the dialog
+            const active = document.activeElement;
+            this.returnFocus = active && active !== document.body ? active : null;
+            
+            this.modal.setAttribute('aria-hidden', 'false');
+            this.modal.classList.add('active');
+            document.body.style.overflow = 'hidden';
+            this.setBackgroundInert();
+            this.isOpen = true;
+            // The title names the dialog, and reading on from it covers the whole project
+            this.titleElement.focus();
+        }
         
         const event = new CustomEvent('projectModal:open', { detail: { project } });
         document.dispatchEvent(event);
     }
 
-    close() {
+    /**
+     * Hide the modal
+     * @param {Object} [options]
+     * @param {boolean} [options.fromHistory=false] - Closed by navigating away from the route, so leave history alone
+     */
+    close({ fromHistory = false } = {}) {
         if (!this.isOpen) return;
         
         this.modal.setAttribute('aria-hidden', 'true');
         this.modal.classList.remove('active');
         document.body.style.overflow = '';
+        this.releaseBackground();
         this.isOpen = false;
+        this.project = null;
+        if (this.gallery) this.gallery.pause();
+        
+        // Back to the card or link that opened the dialog, if it is still on the page
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+        
+        if (!fromHistory) this.popRoute();
+        this.pushedHistory = false;
+        
         document.dispatchEvent(new CustomEvent('projectModal:close'));
     }
 
+    /**
+     * Show the previous project of the sequence
+     */
+    previous() {
+        this.step(-1);
+    }
+
+    /**
+     * Show the next project of the sequence
+     */
+    next() {
+        this.step(1);
+    }
+
+    /**
+     * Move through the sequence, wrapping around at both ends
+     * @param {number} offset - -1 for the previous project, 1 for the next
+     */
+    step(offset) {
+        const { projects, index } = this.getPosition();
+        if (index === -1 || projects.length < 2) return;
+        
+        this.open(projects[(index + offset + projects.length) % projects.length]);
+    }
+
+    /**
+     * Where the open project sits in the sequence
+     * @returns {{ projects: Object[], index: number }} index is -1 if the project is not part of it,
+     *   e.g. a deep link to a project the filters hide
+     */
+    getPosition() {
+        const projects = this.options.getSequence();
+        return { projects, index: projects.indexOf(this.project) };
+    }
+
+    /**
+     * Update the previous/next buttons and the "3 of 6" indicator, and preload the neighbours
+     */
+    updatePager() {
+        const { projects, index } = this.getPosition();
+        this.pager.hidden = index === -1 || projects.length < 2;
+        if (this.pager.hidden) return;
+        
+        const previous = projects[(index - 1 + projects.length) % projects.length];
+        const next = projects[(index + 1) % projects.length];
+        this.positionElement.textContent = i18n.t('modal.position', { current: index + 1, total: projects.length });
+        this.prevButton.setAttribute('aria-label', i18n.t('modal.previousTo', { title: previous.title }));
+        this.nextButton.setAttribute('aria-label', i18n.t('modal.nextTo', { title: next.title }));
+        
+        this.preloadMedia(previous);
+        this.preloadMedia(next);
+    }
+
+    /**
+     * Fetch the first media item of a project ahead of time, so stepping to it shows the
+     * screenshot or poster straight away
+     * @param {Object} project - Project data from the catalog
+     */
+    preloadMedia(project) {
+        const [item] = [].concat(project.media || []);
+        if (!item || this.preloaded.has(item)) return;
+        this.preloaded.add(item);
+        
+        const image = new Image();
+        if (item.type === 'image') {
+            if (item.srcset) {
+                // Same candidates as the gallery, so the browser picks the same file
+                image.sizes = MediaGallery.defaultOptions.sizes;
+                image.srcset = item.srcset;
+            }
+            image.src = item.url;
+        } else if (item.poster) {
+            image.src = item.poster;
+        }
+    }
+
+    /**
+     * Point the URL at the open project so the view can be linked to
+     * @param {Object} project - Project data from the catalog
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Replace the current entry instead of adding one
+     */
+    pushRoute(project, { replace = false } = {}) {
+        if (!this.options.updateHistory || !project.slug) return;
+        
+        const hash = this.options.routePrefix + encodeURIComponent(project.slug);
+        if (window.location.hash === hash) return;
+        
+        if (replace) {
+            history.replaceState({ projectModal: project.slug }, '', hash);
+            return;
+        }
+        history.pushState({ projectModal: project.slug }, '', hash);
+        this.pushedHistory = true;
+    }
+
+    /**
+     * Take the project route back off the URL
+     */
+    popRoute() {
+        if (!this.options.updateHistory || !ProjectModal.slugFromHash()) return;
+        
+        if (this.pushedHistory) {
+            // Step back so the entry we pushed does not linger in the history
+            history.back();
+        } else {
+            // Opened from a shared link: there is nothing of ours to go back to
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
     updateContent(project) {
         this.titleElement.textContent = project.title;
-        this.descriptionElement.innerHTML = project.description;
+        this.descriptionElement.textContent = project.description;
         
         this.technologiesElement.innerHTML = '';
         if (project.technologies && project.technologies.length > 0) {
@@ -137,20 +372,12 @@ class ProjectModal {
             this.technologiesElement.appendChild(techList);
         }
         
-        this.mediaElement.innerHTML = '';
-        if (project.media && project.media.url) {
-            if (project.media.type === 'image') {
-                const img = document.createElement('img');
-                img.src = project.media.url;
-                img.alt = project.title;
-                this.mediaElement.appendChild(img);
-            } else if (project.media.type === 'video') {
-                const video = document.createElement('video');
-                video.src = project.media.url;
-                video.controls = true;
-                this.mediaElement.appendChild(video);
-            }
-        }
+        // Screenshots, videos and code snippets, see MediaGallery
+        if (this.gallery) this.gallery.destroy();
+        this.gallery = new MediaGallery(this.mediaElement, [].concat(project.media || []), {
+            label: project.title
+        });
+        this.modal.classList.toggle('has-media', !this.mediaElement.hidden);
         
         if (project.projectUrl) {
             this.projectLink.href = project.projectUrl;
@@ -168,8 +395,13 @@ class ProjectModal {
     }
 
     destroy() {
-        this.closeButton.removeEventListener('click', this.close);
-        this.overlay.removeEventListener('click', this.close);
+        // Leave the page usable and the URL alone
+        if (this.isOpen) this.close({ fromHistory: true });
+        if (this.gallery) this.gallery.destroy();
+        this.closeButton.removeEventListener('click', this.handleClose);
+        this.overlay.removeEventListener('click', this.handleOverlayClick);
+        this.prevButton.removeEventListener('click', this.handlePrevious);
+        this.nextButton.removeEventListener('click', this.handleNext);
         document.removeEventListener('keydown', this.handleKeyDown);
         
         if (this.modal && this.modal.parentNode) {
@@ -179,9 +411,43 @@ class ProjectModal {
 }
 
 // Initialize project modals when the DOM is fully loaded
-document.addEventListener('DOMContentLoaded', () => {
+const initProjectModal = () => {
+    const findProject = slug => window.projectCatalog && window.projectCatalog.findBySlug(slug);
+    
+    // Previous/next follow the cards as shown, leaving out the ones the filters hide
+    const visibleProjects = () => {
+        if (!window.projectCatalog) return [];
+        return Array.from(document.querySelectorAll('.project-card'))
+            .filter(card => !card.hidden && card.dataset.filterState !== 'hiding')
+            .map(card => window.projectCatalog.getProject(card))
+            .filter(Boolean);
+    };
+    
     // Initialize modal instance
-    const projectModal = new ProjectModal();
+    const projectModal = new ProjectModal({ getSequence: visibleProjects });
+    
+    // Open or close the modal to match a #/projects/<slug> URL
+    const syncWithLocation = () => {
+        const slug = ProjectModal.slugFromHash();
+        const project = slug && findProject(slug);
+        
+        if (project) {
+            projectModal.open(project, { fromHistory: true });
+        } else if (projectModal.isOpen) {
+            projectModal.close({ fromHistory: true });
+        }
+    };
+    
+    // Open the project a card was rendered from
+    const openCard = (card) => {
+        const project = window.projectCatalog && window.projectCatalog.getProject(card);
+        if (!project) {
+            console.error('No project data found for card:', card);
+            return;
+        }
+        
+        projectModal.open(project);
+    };
     
     // Use event delegation for better performance and dynamic content handling
     document.addEventListener('click', (e) => {
@@ -190,32 +456,39 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!card) return;
         
         e.preventDefault();
+        openCard(card);
+    });
+    
+    // Cards act as buttons (see ProjectCatalog.bindCard()), so Enter and Space open them too
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        if (!e.target.classList || !e.target.classList.contains('project-card')) return;
         
-        try {
-            // Get project data from data attributes
-            const projectData = {
-                title: card.dataset.title || 'Project',
-                description: card.dataset.description || 'No description available.',
-                technologies: card.dataset.technologies ? 
-                    JSON.parse(card.dataset.technologies) : [],
-                projectUrl: card.dataset.projectUrl || '#',
-                codeUrl: card.dataset.codeUrl || '#',
-                media: {
-                    type: card.dataset.mediaType || 'image',
-                    url: card.dataset.mediaUrl || ''
-                }
-            };
-            
-            // Open the modal with the project data
-            projectModal.open(projectData);
-            
-        } catch (error) {
-            console.error('Error opening project modal:', error);
-        }
+        // Space would scroll the page otherwise
+        e.preventDefault();
+        openCard(e.target);
+    });
+    
+    // Back/forward buttons and #/projects/<slug> links
+    window.addEventListener('popstate', syncWithLocation);
+    
+    // Deep links can only be resolved once the catalog has loaded
+    document.addEventListener('projects:rendered', () => {
+        if (!projectModal.isOpen) syncWithLocation();
     });
+    if (window.projectCatalog && window.projectCatalog.projects.length > 0) {
+        syncWithLocation();
+    }
     
+    window.projectModal = projectModal;
     console.log('Project modal system initialized');
-});
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initProjectModal);
+} else {
+    initProjectModal();
+}
 
 // Expose the ProjectModal class globally
 window.ProjectModal = ProjectModal;
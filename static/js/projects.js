@@ -0,0 +1,206 @@
+/**
+ * Project Catalog Component
+ * Reads the project catalog the server embeds in the page, or fetches it from the
+ * content API on pages without it, and binds the project cards to it. The cards
+ * the server rendered are reused when they match; when the catalog cannot be had
+ * they are bound to what they show, so the modal and filters still work.
+ */
+class ProjectCatalog {
+    static defaultOptions = {
+        // Written by templates/partials/projects.js, so static hosts need no API
+        dataSelector: '#project-catalog',
+        endpoint: '/api/projects',
+        gridSelector: '.projects-grid'
+    };
+
+    constructor(options = {}) {
+        this.options = { ...ProjectCatalog.defaultOptions, ...options };
+        this.grid = document.querySelector(this.options.gridSelector);
+        this.projects = [];
+        this.cards = new WeakMap();
+    }
+
+    async load() {
+        if (!this.grid) return [];
+
+        try {
+            const { projects } = this.readData() || await this.fetchData();
+            if (!Array.isArray(projects)) {
+                throw new Error('Expected a list of projects');
+            }
+            this.projects = projects;
+        } catch (error) {
+            console.error('Error loading projects:', error);
+            this.projects = Array.from(this.grid.querySelectorAll('.project-card'), ProjectCatalog.projectFromCard);
+        }
+
+        this.render();
+        return this.projects;
+    }
+
+    /**
+     * @returns {Object|null} The catalog embedded in the page, or null if there is none
+     */
+    readData() {
+        const element = document.querySelector(this.options.dataSelector);
+        return element ? JSON.parse(element.textContent) : null;
+    }
+
+    /**
+     * @returns {Promise<Object>} The catalog from the content API
+     */
+    async fetchData() {
+        const response = await fetch(this.options.endpoint, {
+            headers: { 'Accept': 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`Request failed with status ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Read a project back from the markup of a server-rendered card
+     * @param {Element} card - A .project-card element
+     * @returns {Object} The project, without the details only the catalog has
+     */
+    static projectFromCard(card) {
+        const text = selector => {
+            const element = card.querySelector(selector);
+            return element ? element.textContent.trim() : '';
+        };
+        const summary = text('.project-content > p:not(.date)');
+
+        return {
+            slug: card.dataset.slug,
+            title: text('h3'),
+            date: text('.date') || undefined,
+            summary,
+            description: summary,
+            technologies: Array.from(card.querySelectorAll('.project-tech li'), item => item.textContent.trim())
+        };
+    }
+
+    render() {
+        if (!this.hydrate()) {
+            const fragment = document.createDocumentFragment();
+            this.projects.forEach(project => fragment.appendChild(this.createCard(project)));
+
+            this.grid.innerHTML = '';
+            this.grid.appendChild(fragment);
+        }
+
+        document.dispatchEvent(new CustomEvent('projects:rendered', {
+            detail: { projects: this.projects }
+        }));
+    }
+
+    /**
+     * Bind the server-rendered cards to their projects instead of building new ones
+     * @returns {boolean} Whether the existing cards matched the catalog
+     */
+    hydrate() {
+        const cards = Array.from(this.grid.querySelectorAll('.project-card'));
+        const matches = cards.length > 0 &&
+            cards.length === this.projects.length &&
+            cards.every((card, index) => card.dataset.slug === this.projects[index].slug);
+        if (!matches) return false;
+
+        cards.forEach((card, index) => this.bindCard(card, this.projects[index]));
+        return true;
+    }
+
+    createCard(project) {
+        const card = document.createElement('div');
+        card.className = 'project-card';
+        card.dataset.slug = project.slug;
+
+        const content = document.createElement('div');
+        content.className = 'project-content';
+
+        const title = document.createElement('h3');
+        title.id = `project-${project.slug}-title`;
+        title.textContent = project.title;
+        content.appendChild(title);
+
+        if (project.date) {
+            const date = document.createElement('p');
+            date.className = 'date';
+            date.textContent = project.date;
+            content.appendChild(date);
+        }
+
+        const summary = document.createElement('p');
+        summary.id = `project-${project.slug}-summary`;
+        summary.textContent = project.summary;
+        content.appendChild(summary);
+
+        const stack = project.stack || project.technologies || [];
+        if (stack.length > 0) {
+            const techList = document.createElement('ul');
+            techList.className = 'project-tech';
+
+            stack.forEach(tech => {
+                const techItem = document.createElement('li');
+                techItem.textContent = tech;
+                techList.appendChild(techItem);
+            });
+
+            content.appendChild(techList);
+        }
+
+        card.appendChild(content);
+        this.bindCard(card, project);
+        return card;
+    }
+
+    /**
+     * Tie a card to its project and make it a button that opens the project modal.
+     * Done here rather than in the markup, as the card only does something once the
+     * script has run.
+     * @param {Element} card - A .project-card element
+     * @param {Object} project - The project data
+     */
+    bindCard(card, project) {
+        this.cards.set(card, project);
+        card.tabIndex = 0;
+        card.setAttribute('role', 'button');
+        card.setAttribute('aria-haspopup', 'dialog');
+        // Named by the title rather than everything on the card
+        card.setAttribute('aria-labelledby', `project-${project.slug}-title`);
+        card.setAttribute('aria-describedby', `project-${project.slug}-summary`);
+    }
+
+    /**
+     * Look up the project a rendered card was built from
+     * @param {Element} card - A .project-card element
+     * @returns {Object|undefined} The project data
+     */
+    getProject(card) {
+        return this.cards.get(card);
+    }
+
+    /**
+     * Look up a project by its URL slug
+     * @param {string} slug - The project slug
+     * @returns {Object|undefined} The project data
+     */
+    findBySlug(slug) {
+        return this.projects.find(project => project.slug === slug);
+    }
+}
+
+// Load the catalog once the DOM is ready
+const loadProjectCatalog = () => {
+    window.projectCatalog = new ProjectCatalog();
+    window.projectCatalog.load();
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadProjectCatalog);
+} else {
+    loadProjectCatalog();
+}
+
+// Expose the ProjectCatalog class globally
+window.ProjectCatalog = ProjectCatalog;
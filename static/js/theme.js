@@ -0,0 +1,188 @@
+/**
+ * Theme Manager
+ * Light/dark theme and accent palette. The colors themselves are CSS custom properties
+ * in theme.css, switched by the data-theme and data-accent attributes on <html>.
+ * Without a saved choice the theme follows prefers-color-scheme.
+ *
+ * The inline script from templates/partials/theme-script.js applies the saved choice
+ * before the first paint; this class takes over from there and handles the controls
+ * in the header. Changes are announced with a 'theme:change' event.
+ */
+class ThemeManager {
+    static defaultOptions = {
+        // Keep in sync with templates/partials/theme-script.js
+        themeKey: 'theme',
+        accentKey: 'accent',
+        defaultAccent: 'green',
+        toggleSelector: '.theme-toggle',
+        accentSelector: '[data-accent-option]'
+    };
+
+    constructor(options = {}) {
+        this.options = { ...ThemeManager.defaultOptions, ...options };
+        this.root = document.documentElement;
+        this.systemLight = window.matchMedia('(prefers-color-scheme: light)');
+        this.toggleButton = document.querySelector(this.options.toggleSelector);
+        this.accentButtons = Array.from(document.querySelectorAll(this.options.accentSelector));
+
+        this.handleSystemChange = this.handleSystemChange.bind(this);
+        this.handleStorage = this.handleStorage.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => this.toggle());
+        }
+        this.accentButtons.forEach(button => {
+            button.addEventListener('click', () => this.setAccent(button.dataset.accentOption));
+        });
+        this.systemLight.addEventListener('change', this.handleSystemChange);
+        // Follow changes made in other tabs
+        window.addEventListener('storage', this.handleStorage);
+
+        this.apply();
+    }
+
+    /**
+     * @returns {'light'|'dark'} The theme in use
+     */
+    get theme() {
+        return this.read(this.options.themeKey) || this.systemTheme;
+    }
+
+    /**
+     * @returns {'light'|'dark'} The theme the operating system asks for
+     */
+    get systemTheme() {
+        return this.systemLight.matches ? 'light' : 'dark';
+    }
+
+    /**
+     * @returns {string} The accent palette in use
+     */
+    get accent() {
+        return this.read(this.options.accentKey) || this.options.defaultAccent;
+    }
+
+    /**
+     * Switch between light and dark
+     */
+    toggle() {
+        this.setTheme(this.theme === 'light' ? 'dark' : 'light');
+    }
+
+    /**
+     * @param {'light'|'dark'} theme
+     */
+    setTheme(theme) {
+        // Choosing what the system asks for goes back to following the system
+        this.write(this.options.themeKey, theme === this.systemTheme ? null : theme);
+        this.apply();
+    }
+
+    /**
+     * @param {string} accent - One of the palettes in theme.css
+     */
+    setAccent(accent) {
+        this.write(this.options.accentKey, accent === this.options.defaultAccent ? null : accent);
+        this.apply();
+    }
+
+    /**
+     * Colors for MatrixRain, read from the custom properties of the current theme.
+     * Static, as the inline theme script has set the theme before any instance exists.
+     * @returns {{ colors: string[], background: string }}
+     */
+    static matrixOptions() {
+        const styles = getComputedStyle(document.documentElement);
+        return {
+            colors: [styles.getPropertyValue('--color-primary').trim()],
+            background: styles.getPropertyValue('--matrix-background').trim()
+        };
+    }
+
+    /**
+     * Set the attributes on <html>, update the controls and announce the change
+     */
+    apply() {
+        const { theme, accent } = this;
+        this.root.dataset.theme = theme;
+        this.root.dataset.accent = accent;
+
+        if (this.toggleButton) {
+            const next = theme === 'light' ? 'dark' : 'light';
+            this.toggleButton.setAttribute('aria-pressed', String(theme === 'light'));
+            this.toggleButton.setAttribute('aria-label', i18n.t(`theme.switchTo.${next}`));
+        }
+        this.accentButtons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.accentOption === accent));
+        });
+
+        const themeColor = document.querySelector('meta[name="theme-color"]');
+        if (themeColor) {
+            themeColor.content = getComputedStyle(this.root).getPropertyValue('--color-dark').trim();
+        }
+
+        document.dispatchEvent(new CustomEvent('theme:change', {
+            detail: { theme, accent, matrix: ThemeManager.matrixOptions() }
+        }));
+    }
+
+    handleSystemChange() {
+        if (!this.read(this.options.themeKey)) this.apply();
+    }
+
+    handleStorage(e) {
+        if (e.key === this.options.themeKey || e.key === this.options.accentKey) this.apply();
+    }
+
+    /**
+     * localStorage throws when storage is disabled, in which case the choice lasts for the page only
+     * @param {string} key
+     * @returns {string|null}
+     */
+    read(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (error) {
+            return this.memory ? this.memory[key] || null : null;
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {string|null} value - null removes the key
+     */
+    write(key, value) {
+        try {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, value);
+            }
+        } catch (error) {
+            this.memory = { ...this.memory, [key]: value };
+        }
+    }
+
+    destroy() {
+        this.systemLight.removeEventListener('change', this.handleSystemChange);
+        window.removeEventListener('storage', this.handleStorage);
+    }
+}
+
+// Take over from the inline script once the header is in the DOM
+const initThemeManager = () => {
+    window.themeManager = new ThemeManager();
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initThemeManager);
+} else {
+    initThemeManager();
+}
+
+// Expose the ThemeManager class globally
+window.ThemeManager = ThemeManager;
@@ -0,0 +1,99 @@
+/**
+ * Not found page
+ * Standalone page served for unknown paths and as the service worker's offline fallback
+ */
+import { html } from '../lib/html.js';
+import { localizedPath } from '../lib/i18n.js';
+import themeScript from './partials/theme-script.js';
+
+/**
+ * @param {Object} data
+ * @param {Object} data.site - Site content from content/site.json
+ * @param {function(string): string} data.asset - Resolves source asset paths to hashed URLs
+ * @param {string} data.locale - Language of the page
+ * @param {function(string, Object=): string} data.t - Translates interface strings, see lib/i18n.js
+ * @returns {string} The HTML document
+ */
+export default function renderNotFound({ site, asset, locale, t }) {
+    return html`<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${t('notFound.title')} | ${site.person.name}</title>
+    ${themeScript()}
+    <link rel="stylesheet" href="${asset('css/style.css')}">
+    <style>
+        .error-container {
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            min-height: 80vh;
+            text-align: center;
+            padding: 2rem;
+        }
+        
+        .error-code {
+            font-size: 6rem;
+            font-weight: bold;
+            color: var(--color-primary);
+            margin: 0;
+            line-height: 1;
+        }
+        
+        .error-message {
+            font-size: 1.5rem;
+            margin: 1rem 0 2rem;
+            color: var(--color-text);
+        }
+        
+        .home-link {
+            display: inline-block;
+            padding: 0.75rem 1.5rem;
+            background-color: var(--color-primary);
+            color: var(--color-dark);
+            text-decoration: none;
+            border-radius: 4px;
+            font-weight: 600;
+            transition: all 0.3s ease;
+        }
+        
+        .home-link:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 4px 15px rgba(var(--color-primary-rgb), 0.3);
+        }
+    </style>
+</head>
+<body>
+    <div id="matrix-container"></div>
+    
+    <div class="error-container">
+        <h1 class="error-code">404</h1>
+        <p class="error-message">${t('notFound.message')}</p>
+        <a href="${localizedPath('/', locale)}" class="home-link">${t('notFound.home')}</a>
+    </div>
+    
+    <script src="${asset('js/matrix.js')}"></script>
+    <script>
+        // Initialize matrix background
+        document.addEventListener('DOMContentLoaded', function() {
+            if (typeof MatrixRain === 'function') {
+                // Colors of the theme and accent set by the theme script
+                var styles = getComputedStyle(document.documentElement);
+                new MatrixRain('matrix-container', {
+                    charset: '01',
+                    fontSize: 20,
+                    speed: 1,
+                    density: 0.6,
+                    colors: [styles.getPropertyValue('--color-primary').trim()],
+                    background: styles.getPropertyValue('--matrix-background').trim(),
+                    fadeFactor: 0.05
+                });
+            }
+        });
+    </script>
+</body>
+</html>
+`.toString();
+}
@@ -0,0 +1,176 @@
+/**
+ * Stats dashboard
+ * Private page with the aggregated analytics events, see lib/analytics.js.
+ * Charts are plain SVG and <meter> elements, so the page needs no scripts beyond
+ * the inline theme script and no inline style attributes under the CSP. Colors come
+ * from static/css/theme.css, so the page follows the visitor's theme and accent.
+ */
+import { html } from '../lib/html.js';
+import themeScript from './partials/theme-script.js';
+
+const CHART = { width: 720, height: 160, gap: 2 };
+
+/**
+ * Bar chart of page views per day
+ * @param {Array<{ day: string, count: number }>} daily
+ */
+function dailyChart(daily) {
+    const max = Math.max(1, ...daily.map(({ count }) => count));
+    const barWidth = CHART.width / daily.length;
+
+    return html`<svg class="chart" viewBox="0 0 ${CHART.width} ${CHART.height + 20}" role="img"
+         aria-label="Page views per day, ${daily[0].day} to ${daily[daily.length - 1].day}">
+        ${daily.map(({ day, count }, index) => {
+            const height = Math.round((count / max) * CHART.height);
+            return html`<rect x="${(index * barWidth).toFixed(1)}" y="${CHART.height - height}"
+                  width="${(barWidth - CHART.gap).toFixed(1)}" height="${height}"><title>${day}: ${count}</title></rect>`;
+        })}
+        <text x="0" y="${CHART.height + 16}">${daily[0].day}</text>
+        <text x="${CHART.width}" y="${CHART.height + 16}" text-anchor="end">${daily[daily.length - 1].day}</text>
+    </svg>`;
+}
+
+/**
+ * Table of counts with a bar per row
+ * @param {string} title
+ * @param {Array<{ name: string, count: number }>} rows
+ * @param {string} empty - Shown when there are no rows
+ */
+function countTable(title, rows, empty) {
+    const max = rows.length > 0 ? rows[0].count : 1;
+
+    return html`<section class="card">
+            <h2>${title}</h2>
+            ${rows.length === 0 ? html`<p class="empty">${empty}</p>` : html`<table>
+                <tbody>
+                    ${rows.slice(0, 15).map(({ name, count }) => html`<tr>
+                        <th scope="row">${name}</th>
+                        <td><meter min="0" max="${max}" value="${count}">${count}</meter></td>
+                        <td class="count">${count}</td>
+                    </tr>`)}
+                </tbody>
+            </table>`}
+        </section>`;
+}
+
+/**
+ * @param {Object} data
+ * @param {Object} data.site - Site content from content/site.json
+ * @param {Object} data.stats - See summarizeEvents()
+ * @param {Array<{ slug: string, title: string }>} data.projects - Project catalog, for project titles
+ * @param {function(string): string} data.asset - Resolves source asset paths to hashed URLs
+ * @returns {string} The HTML document
+ */
+export default function renderStats({ site, stats, projects, asset }) {
+    const titles = new Map(projects.map(project => [project.slug, project.title]));
+    const projectRows = stats.projects.map(row => ({ ...row, name: titles.get(row.name) || row.name }));
+
+    return html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>Stats | ${site.person.name}</title>
+    ${themeScript()}
+    <link rel="stylesheet" href="${asset('css/theme.css')}">
+    <style>
+        body {
+            margin: 0;
+            padding: 2rem;
+            background: var(--color-dark);
+            color: var(--color-text);
+            font-family: system-ui, sans-serif;
+        }
+
+        h1, h2 {
+            color: var(--color-primary);
+        }
+
+        .summary {
+            display: flex;
+            gap: 2rem;
+            margin-bottom: 2rem;
+        }
+
+        .summary strong {
+            display: block;
+            font-size: 2rem;
+            color: var(--color-primary);
+        }
+
+        .grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+            gap: 1.5rem;
+        }
+
+        .card {
+            padding: 1rem 1.5rem;
+            border: 1px solid rgba(var(--color-primary-rgb), 0.3);
+            border-radius: 4px;
+        }
+
+        .chart {
+            width: 100%;
+            max-width: 720px;
+            fill: var(--color-primary);
+        }
+
+        .chart text {
+            fill: var(--color-text);
+            font-size: 12px;
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+
+        th {
+            text-align: left;
+            font-weight: normal;
+            word-break: break-all;
+        }
+
+        th, td {
+            padding: 0.25rem 0.5rem 0.25rem 0;
+        }
+
+        meter {
+            width: 8rem;
+        }
+
+        .count {
+            text-align: right;
+        }
+
+        .empty {
+            color: var(--color-text-muted);
+        }
+    </style>
+</head>
+<body>
+    <h1>Site stats</h1>
+
+    <div class="summary">
+        <p><strong>${stats.pageviews}</strong> page views</p>
+        <p><strong>${stats.total}</strong> events</p>
+    </div>
+
+    <section class="card">
+        <h2>Page views, last ${stats.daily.length} days</h2>
+        ${dailyChart(stats.daily)}
+    </section>
+
+    <div class="grid">
+        ${countTable('Projects opened', projectRows, 'No project has been opened yet.')}
+        ${countTable('Sections seen', stats.sections, 'No section views yet.')}
+        ${countTable('Outbound clicks', stats.outbound, 'No outbound clicks yet.')}
+        ${countTable('Pages', stats.pages, 'No page views yet.')}
+        ${countTable('Referrers', stats.referrers, 'No referrers yet.')}
+    </div>
+</body>
+</html>
+`.toString();
+}
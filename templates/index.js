@@ -0,0 +1,36 @@
+/**
+ * Home page
+ * Assembles the section partials. Rendered by lib/render.js.
+ */
+import { html } from '../lib/html.js';
+import { siteUrl } from '../lib/site.js';
+import { personJsonLd } from '../lib/structured-data.js';
+import layout from './layout.js';
+import hero from './partials/hero.js';
+import about from './partials/about.js';
+import projects from './partials/projects.js';
+import skills from './partials/skills.js';
+import certifications from './partials/certifications.js';
+import experience from './partials/experience.js';
+import education from './partials/education.js';
+import contact from './partials/contact.js';
+
+/**
+ * @param {Object} data
+ * @param {Object} data.site - Site content from content/site.json
+ * @param {Object[]} data.projects - Project catalog from content/projects.json
+ * @param {function(string): string} data.asset - Resolves source asset paths to hashed URLs
+ * @returns {string} The HTML document
+ */
+export default function renderIndex(data) {
+    const page = { ...data, jsonLd: personJsonLd(data.site, siteUrl(data.site)) };
+
+    return layout(page, html`${hero(data)}
+${about(data)}
+${projects(data)}
+${skills(data)}
+${certifications(data)}
+${experience(data)}
+${education(data)}
+${contact(data)}`);
+}
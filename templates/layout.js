@@ -0,0 +1,43 @@
+/**
+ * Page layout
+ * Document shell shared by the pages: <head>, matrix background, header, content and footer
+ */
+import { html } from '../lib/html.js';
+import head from './partials/head.js';
+import header from './partials/header.js';
+import footer from './partials/footer.js';
+import scripts from './partials/scripts.js';
+
+/**
+ * @param {Object} data
+ * @param {Object} data.site - Site content from content/site.json, translated
+ * @param {function(string): string} data.asset - Resolves source asset paths to hashed URLs
+ * @param {string} data.locale - Language of the page
+ * @param {function(string, Object=): string} data.t - Translates interface strings, see lib/i18n.js
+ * @param {string} [data.title] - Document title, defaults to site.title
+ * @param {string} [data.path] - Site path of the page in the default language, defaults to "/"
+ * @param {*} main - Contents of <main>
+ * @returns {string} The HTML document
+ */
+export default function layout(data, main) {
+    return html`<!DOCTYPE html>
+<html lang="${data.locale}">
+${head(data)}
+<body>
+    <!-- Matrix Background Container -->
+    <div id="matrix-bg">
+        <canvas id="matrix-canvas"></canvas>
+    </div>
+    
+    <!-- Main Content -->
+    <div id="app">
+${header(data)}
+        <main>${main}
+        </main>
+${footer(data)}
+    </div>
+${scripts(data)}
+</body>
+</html>
+`.toString();
+}
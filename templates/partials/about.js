@@ -0,0 +1,19 @@
+import { html } from '../../lib/html.js';
+
+/**
+ * About section, one paragraph per entry in site.about
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {function(string, Object=): string} data.t - Translates interface strings
+ */
+export default function about({ site, t }) {
+    return html`
+            <section id="about" class="section">
+                <div class="container">
+                    <h2 class="section-title">${t('sections.about')}</h2>
+                    <div class="about-content">
+                        ${site.about.map(paragraph => html`<p>${paragraph}</p>`)}
+                    </div>
+                </div>
+            </section>`;
+}
@@ -0,0 +1,29 @@
+import { html } from '../../lib/html.js';
+
+/**
+ * Certifications section
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {function(string, Object=): string} data.t - Translates interface strings
+ */
+export default function certifications({ site, t }) {
+    return html`
+            <!-- Certifications -->
+            <section id="certifications" class="section">
+                <div class="container">
+                    <h2 class="section-title">${t('sections.certifications')}</h2>
+                    <div class="certifications-grid">${site.certifications.map(certification => html`
+                        <div class="certification-card">
+                            <div class="certification-content">
+                                <div class="certification-header">
+                                    ${certification.icon ? html`<i class="icon">${certification.icon}</i>` : ''}
+                                    <h3>${certification.name}</h3>
+                                </div>
+                                ${certification.date ? html`<span class="date">${t('certifications.earnedOn', { date: certification.date })}</span>` : ''}
+                                ${certification.description ? html`<p>${certification.description}</p>` : ''}
+                            </div>
+                        </div>`)}
+                    </div>
+                </div>
+            </section>`;
+}
@@ -0,0 +1,72 @@
+import { html, raw } from '../../lib/html.js';
+import { HONEYPOT_FIELD, LIMITS } from '../../lib/contact.js';
+
+// 24x24 icon paths for site.contact.links
+const ICONS = {
+    // LinkedIn (Simple Icons)
+    linkedin: 'M20.447 20.452H17.2v-5.569c0-1.328-.026-3.036-1.849-3.036-1.851 0-2.134 1.445-2.134 2.939v5.666H9.072V9h3.112v1.561h.045c.434-.823 1.494-1.692 3.073-1.692 3.29 0 3.896 2.164 3.896 4.981v6.602zM5.337 7.433c-1.004 0-1.816-.814-1.816-1.818 0-1.004.812-1.818 1.816-1.818 1.004 0 1.818.814 1.818 1.818 0 1.004-.814 1.818-1.818 1.818zM6.556 20.452H4.118V9h2.438v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.226.792 24 1.771 24h20.451C23.2 24 24 23.226 24 22.271V1.729C24 .774 23.2 0 22.222 0z',
+    // GitHub (Octicon mark)
+    github: 'M12 0C5.37 0 0 5.37 0 12c0 5.3 3.438 9.799 8.205 11.387.6.111.82-.261.82-.58 0-.287-.011-1.244-.017-2.255-3.338.726-4.042-1.416-4.042-1.416-.546-1.387-1.333-1.757-1.333-1.757-1.089-.745.083-.73.083-.73 1.205.085 1.84 1.237 1.84 1.237 1.07 1.834 2.807 1.304 3.492.997.108-.795.418-1.305.761-1.605-2.665-.303-5.467-1.365-5.467-6.075 0-1.342.465-2.44 1.235-3.297-.124-.303-.535-1.524.117-3.176 0 0 1.008-.324 3.301 1.258a11.5 11.5 0 0 1 6.003 0c2.292-1.582 3.298-1.258 3.298-1.258.653 1.652.242 2.873.118 3.176.77.858 1.233 1.955 1.233 3.297 0 4.721-2.806 5.768-5.479 6.066.43.372.814 1.103.814 2.222 0 1.604-.015 2.896-.015 3.293 0 .321.217.694.826.576C20.565 21.796 24 17.297 24 12 24 5.37 18.63 0 12 0z',
+    // Filled envelope
+    email: 'M20 4H4a2 2 0 0 0-2 2v12a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2V6a2 2 0 0 0-2-2Zm0 2-8 5L4 6h16Zm0 12H4V8l8 5 8-5v10Z',
+    // Phone handset
+    phone: 'M6.62 10.79a15.053 15.053 0 0 0 6.59 6.59l2.2-2.2a1 1 0 0 1 1.01-.24c1.12.37 2.33.57 3.58.57a1 1 0 0 1 1 1V21a1 1 0 0 1-1 1C10.85 22 2 13.15 2 2a1 1 0 0 1 1-1H6.5a1 1 0 0 1 1 1c0 1.25.2 2.46.57 3.58a1 1 0 0 1-.24 1.01l-2.2 2.2Z'
+};
+
+function socialLink(link) {
+    // Only web links open in a new tab, mailto: and tel: hand off to another app
+    const external = /^https?:/.test(link.url);
+
+    return html`
+                            <a class="social-link" href="${link.url}"${external ? raw(' target="_blank" rel="noopener"') : ''} aria-label="${link.label}">
+                                <svg width="22" height="22" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true" focusable="false">
+                                    <path d="${ICONS[link.icon]}"/>
+                                </svg>
+                                <span class="sr-only">${link.label}</span>
+                            </a>`;
+}
+
+/**
+ * Contact section with the form posted to /api/contact and the social links.
+ * Field limits come from lib/contact.js so the browser and the API agree.
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {function(string, Object=): string} data.t - Translates interface strings
+ */
+export default function contact({ site, t }) {
+    return html`
+            <section id="contact" class="section bg-dark">
+                <div class="container">
+                    <h2 class="section-title">${t('sections.contact')}</h2>
+                    <div class="contact-content">
+                        <p>${site.contact.intro}</p>
+                        <form id="contact-form" class="contact-form" action="/api/contact" method="post" novalidate>
+                            <div class="form-group">
+                                <label for="contact-name">${t('contact.name')}</label>
+                                <input id="contact-name" class="form-control" type="text" name="name" autocomplete="name" maxlength="${LIMITS.name}" required aria-describedby="contact-name-error">
+                                <p id="contact-name-error" class="form-error" data-error-for="name" hidden></p>
+                            </div>
+                            <div class="form-group">
+                                <label for="contact-email">${t('contact.email')}</label>
+                                <input id="contact-email" class="form-control" type="email" name="email" autocomplete="email" maxlength="${LIMITS.email}" required aria-describedby="contact-email-error">
+                                <p id="contact-email-error" class="form-error" data-error-for="email" hidden></p>
+                            </div>
+                            <div class="form-group">
+                                <label for="contact-message">${t('contact.message')}</label>
+                                <textarea id="contact-message" class="form-control" name="message" minlength="${LIMITS.minMessage}" maxlength="${LIMITS.message}" required aria-describedby="contact-message-error"></textarea>
+                                <p id="contact-message-error" class="form-error" data-error-for="message" hidden></p>
+                            </div>
+                            <!-- Honeypot: hidden from people, filled in by bots -->
+                            <div class="form-honeypot" aria-hidden="true">
+                                <label for="contact-website">${t('contact.website')}</label>
+                                <input id="contact-website" type="text" name="${HONEYPOT_FIELD}" tabindex="-1" autocomplete="off">
+                            </div>
+                            <button type="submit" class="btn">${t('contact.send')}</button>
+                            <p class="form-status" role="status" aria-live="polite" hidden></p>
+                        </form>
+                        <div class="social-links" role="group" aria-label="${t('contact.socialLinks')}">${site.contact.links.map(socialLink)}
+                        </div>
+                    </div>
+                </div>
+            </section>`;
+}
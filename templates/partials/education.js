@@ -0,0 +1,25 @@
+import { html } from '../../lib/html.js';
+
+/**
+ * Education section
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {function(string, Object=): string} data.t - Translates interface strings
+ */
+export default function education({ site, t }) {
+    return html`
+            <!-- Education -->
+            <section id="education" class="section">
+                <div class="container">
+                    <h2 class="section-title">${t('sections.education')}</h2>
+                    <div class="education-list">${site.education.map(item => html`
+                        <div class="education-item">
+                            <h3>${item.qualification}</h3>
+                            <p>${item.institution}</p>
+                            ${item.date ? html`<p class="date">${item.date}</p>` : ''}
+                            ${item.majors ? html`<p><strong>${t('education.majors')}</strong> ${item.majors}</p>` : ''}
+                        </div>`)}
+                    </div>
+                </div>
+            </section>`;
+}
@@ -0,0 +1,27 @@
+import { html } from '../../lib/html.js';
+
+/**
+ * Experience section
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {function(string, Object=): string} data.t - Translates interface strings
+ */
+export default function experience({ site, t }) {
+    return html`
+            <!-- Experience -->
+            <section id="experience" class="section">
+                <div class="container">
+                    <h2 class="section-title">${t('sections.experience')}</h2>
+                    <div class="experience-list">${site.experience.map(item => html`
+                        <div class="experience-item">
+                            <h3>${item.role} — ${item.organization}</h3>
+                            ${item.date ? html`<p class="date">${item.date}</p>` : ''}
+                            ${item.highlights && item.highlights.length > 0 ? html`<ul>${item.highlights.map(highlight => html`
+                                <li>${highlight}</li>`)}
+                            </ul>` : ''}
+                            ${item.achievements ? html`<p><strong>${t('experience.achievements')}</strong> ${item.achievements}</p>` : ''}
+                        </div>`)}
+                    </div>
+                </div>
+            </section>`;
+}
@@ -0,0 +1,15 @@
+import { html } from '../../lib/html.js';
+
+/**
+ * Page footer
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ */
+export default function footer({ site }) {
+    return html`
+        <footer>
+            <div class="container">
+                <p>${site.footer}</p>
+            </div>
+        </footer>`;
+}
@@ -0,0 +1,145 @@
+import { html, jsonScript } from '../../lib/html.js';
+import { CLIENT_MESSAGES } from '../../lib/i18n.js';
+import meta from './meta.js';
+import themeScript from './theme-script.js';
+
+/**
+ * <head> with the page metadata (see ./meta.js), the stylesheets, the inline styles,
+ * the strings for the browser scripts and the script loader
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {function(string): string} data.asset - Resolves source asset paths to hashed URLs
+ * @param {string} data.locale - Language of the page
+ * @param {Object} data.messages - Interface strings of the page's language
+ * @param {string} [data.title] - Document title, defaults to site.title
+ */
+export default function head(data) {
+    const { site, asset, locale, messages, title = site.title } = data;
+    const clientMessages = Object.fromEntries(CLIENT_MESSAGES.map(group => [group, messages[group]]));
+
+    return html`<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>${meta(data)}
+    <!-- Set to the background of the theme in use by the theme script -->
+    <meta name="theme-color" content="#0d0208">
+    ${themeScript()}
+    
+    <!-- Favicon -->
+    <link rel="icon" href="/static/img/favicon.ico" sizes="any">
+    <link rel="icon" href="/static/img/favicon-32x32.png" type="image/png" sizes="32x32">
+    <link rel="manifest" href="/static/manifest.json">
+    <link rel="apple-touch-icon" href="/static/img/apple-touch-icon.png">
+    <!-- Strings for the browser scripts, see static/js/i18n.js -->
+    <script type="application/json" id="i18n-messages">${jsonScript({ locale, messages: clientMessages })}</script>
+    <link rel="stylesheet" href="${asset('css/style.css')}">
+    <link rel="stylesheet" href="${asset('css/matrix.css')}">
+    <style>
+        /* Hero Logo Styles */
+        .hero-logo {
+            border: 3px solid var(--color-primary) !important;
+            box-shadow: 0 0 25px rgba(var(--color-primary-rgb), 0.3) !important;
+            background: rgba(var(--color-dark-rgb), 0.9) !important;
+        }
+        
+        /* Global hard kill for any text glow/shadow/filters */
+        *, *::before, *::after {
+            text-shadow: none !important;
+            filter: none !important; /* covers drop-shadow/filter-based glows */
+            box-shadow: none !important; /* remove any visual glow via box-shadow */
+        }
+        /* Keep text glow disabled globally; allow glitch animations */
+        .glitch, .glitch::before, .glitch::after {
+            text-shadow: none !important;
+            mix-blend-mode: normal !important;
+        }
+        /* Extra safety for headings */
+        h1, h2, h3, h4, h5, h6 {
+            text-shadow: none !important;
+            -webkit-text-stroke-width: 0 !important;
+            -webkit-text-stroke-color: currentColor !important;
+        }
+        /* Visually hide screen-reader-only labels so SVG icons show without duplicate text */
+        .sr-only {
+            position: absolute !important;
+            width: 1px !important;
+            height: 1px !important;
+            padding: 0 !important;
+            margin: -1px !important;
+            overflow: hidden !important;
+            clip: rect(0, 0, 0, 0) !important;
+            white-space: nowrap !important;
+            border: 0 !important;
+        }
+        /* Keep the content above the matrix background */
+        #app {
+            position: relative;
+            z-index: 1000;
+            opacity: 1 !important;
+            visibility: visible !important;
+            background-color: transparent;
+        }
+        #app > main {
+            position: relative;
+            z-index: 1001;
+        }
+    </style>
+    <!-- Load scripts without defer to ensure proper initialization order -->
+    <script>
+        // Mouse trail is disabled
+        function initializeMouseTrail() {
+            // No operation - mouse trail is disabled
+        }
+
+        // Main initialization function
+        function initializePortfolio() {
+            initializeMouseTrail();
+            window.matrixRain = new MatrixRain('matrix-canvas', {
+                charset: '01',
+                fontSize: 16,
+                speed: 1.2,
+                density: 1.2,
+                fadeFactor: 0.03,
+                workerUrl: '${asset('js/matrix-worker.js')}',
+                // Colors of the current theme and accent
+                ...ThemeManager.matrixOptions()
+            });
+            document.addEventListener('theme:change', (e) => window.matrixRain.setOptions(e.detail.matrix));
+            document.body.classList.add('portfolio-loaded');
+        }
+
+        // Load scripts in sequence
+        const loadScript = (src) => {
+            return new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = reject;
+                document.head.appendChild(script);
+            });
+        };
+
+        // Load scripts in order
+        if (!window.portfolioScriptsLoaded) {
+            window.portfolioScriptsLoaded = true;
+            
+            // Strings first, as the components build their markup as soon as they load
+            loadScript('${asset('js/i18n.js')}').then(() => Promise.all([
+                // loadScript('/static/js/mouse-trail.min.js'),  // Disabled
+                loadScript('${asset('js/theme.js')}'),
+                loadScript('${asset('js/matrix.js')}'),
+                loadScript('${asset('js/projects.js')}'),
+                loadScript('${asset('js/project-filters.js')}'),
+                loadScript('${asset('js/media-gallery.js')}'),
+                loadScript('${asset('js/project-modal.js')}'),
+                loadScript('${asset('js/main.js')}')
+            ])).then(initializePortfolio).catch(error => {
+                console.error('Error loading scripts:', error);
+            });
+
+            // Kept apart so a blocked analytics script never stops the page
+            loadScript('${asset('js/analytics.js')}').catch(() => {});
+        }
+    </script>
+</head>`;
+}
@@ -0,0 +1,44 @@
+import { html } from '../../lib/html.js';
+import { localizedPath } from '../../lib/i18n.js';
+import { SECTIONS } from '../../lib/routes.js';
+
+// Palettes defined in static/css/theme.css
+const ACCENTS = ['green', 'cyan', 'amber', 'violet'];
+
+/**
+ * Site header with the section links, the language switcher (see static/js/i18n.js)
+ * and the theme controls (see static/js/theme.js)
+ * @param {Object} data
+ * @param {string} data.locale - Language of the page
+ * @param {Object[]} data.locales - Every language, see localeContext() in lib/i18n.js
+ * @param {function(string, Object=): string} data.t - Translates interface strings
+ * @param {string} [data.path] - Site path of the page in the default language; links point
+ *   back to the home page from other pages
+ */
+export default function header({ locale, locales, t, path = '/' }) {
+    const base = path === '/' ? '' : localizedPath('/', locale);
+
+    return html`
+        <header class="site-header">
+            <div class="site-header-inner">
+                <nav class="nav" aria-label="${t('nav.label')}">
+                    <button type="button" class="menu-toggle" aria-expanded="false" aria-controls="nav-links">${t('nav.menu')}</button>
+                    <ul class="nav-links" id="nav-links">
+                        ${SECTIONS.map(section => html`<li><a href="${base}#${section}" class="nav-link">${t(`nav.${section}`)}</a></li>`)}
+                    </ul>
+                </nav>
+                <ul class="language-switcher" aria-label="${t('language.label')}">
+                    ${locales.map(item => html`<li><a href="${localizedPath(path, item.code)}" hreflang="${item.code}" lang="${item.code}" data-locale="${item.code}"${item.code === locale ? html` aria-current="true"` : ''}>${item.name}</a></li>`)}
+                </ul>
+                <div class="theme-controls">
+                    <button type="button" class="theme-toggle" aria-pressed="false" aria-label="${t('theme.switchTo.light')}">
+                        <svg class="icon-sun" viewBox="0 0 24 24" width="20" height="20" aria-hidden="true" focusable="false"><circle cx="12" cy="12" r="4" fill="currentColor"/><path d="M12 2v2M12 20v2M4.9 4.9l1.4 1.4M17.7 17.7l1.4 1.4M2 12h2M20 12h2M4.9 19.1l1.4-1.4M17.7 6.3l1.4-1.4" stroke="currentColor" stroke-width="2" stroke-linecap="round"/></svg>
+                        <svg class="icon-moon" viewBox="0 0 24 24" width="20" height="20" aria-hidden="true" focusable="false"><path d="M21 12.8A9 9 0 1 1 11.2 3a7 7 0 0 0 9.8 9.8z" fill="currentColor"/></svg>
+                    </button>
+                    <div class="accent-options" role="group" aria-label="${t('theme.accent')}">
+                        ${ACCENTS.map(accent => html`<button type="button" class="accent-swatch" data-accent="${accent}" data-accent-option="${accent}" aria-pressed="false" title="${t(`theme.accents.${accent}`)}"><span class="sr-only">${t(`theme.accents.${accent}`)}</span></button>`)}
+                    </div>
+                </div>
+            </div>
+        </header>`;
+}
@@ -0,0 +1,31 @@
+import { html } from '../../lib/html.js';
+
+/**
+ * Hero section with the profile picture, name and headline
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {function(string, Object=): string} data.t - Translates interface strings
+ */
+export default function hero({ site, t }) {
+    const { name, headline, image } = site.person;
+
+    return html`
+            <!-- Hero Section -->
+            <section class="hero">
+                <div class="container">
+                    <div class="hero-logo">
+                        <img src="${image.url}"
+                             alt="${image.alt}"
+                             ${image.width ? html`width="${image.width}" height="${image.height}"` : ''}
+                             loading="eager" decoding="async">
+                    </div>
+                    <h1 class="glitch" data-text="${name}">${name}</h1>
+                    <h2 class="subtitle">${headline}</h2>
+                    <div class="cta-buttons">
+                        <a href="#projects" class="btn">${t('hero.viewWork')}</a>
+                        <a href="#contact" class="btn btn-outline">${t('hero.contact')}</a>
+                        <a href="/cv.pdf" class="btn btn-outline" download>${t('hero.downloadCv')}</a>
+                    </div>
+                </div>
+            </section>`;
+}
@@ -0,0 +1,43 @@
+import { html, raw } from '../../lib/html.js';
+
+// Project pages show the media at the width of the .container
+const PAGE_IMAGE_SIZES = '(max-width: 1200px) 100vw, 1200px';
+
+/**
+ * One media item, the same markup MediaGallery.createItem() builds in the browser
+ * @param {Object} item - Prepared media item, see lib/media.js
+ * @param {Object} [options]
+ * @param {boolean} [options.eager=false] - Load the image straight away, for the first item
+ */
+export function mediaItem(item, { eager = false } = {}) {
+    let content;
+    if (item.type === 'image') {
+        content = html`<img src="${item.url}" alt="${item.alt}"
+                             ${item.srcset ? html`srcset="${item.srcset}" sizes="${PAGE_IMAGE_SIZES}"` : ''}
+                             ${item.width ? html`width="${item.width}" height="${item.height}"` : ''}
+                             loading="${eager ? 'eager' : 'lazy'}" decoding="async">`;
+    } else if (item.type === 'video') {
+        content = html`<video src="${item.url}" ${item.poster ? html`poster="${item.poster}"` : ''} controls preload="none" playsinline></video>`;
+    } else {
+        // Highlighted on the server, see highlightCode()
+        content = html`<pre><code class="hljs${item.language ? ` language-${item.language}` : ''}">${raw(item.html)}</code></pre>`;
+    }
+
+    return html`
+                        <figure class="media-item media-${item.type}">
+                            ${content}
+                            ${item.caption ? html`<figcaption>${item.caption}</figcaption>` : ''}
+                        </figure>`;
+}
+
+/**
+ * Every media item of a project, one after the other
+ * @param {Object[]} media - Prepared media items
+ */
+export default function mediaList(media) {
+    if (media.length === 0) return '';
+
+    return html`
+                    <div class="project-media">${media.map((item, index) => mediaItem(item, { eager: index === 0 }))}
+                    </div>`;
+}
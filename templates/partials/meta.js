@@ -0,0 +1,52 @@
+import { html, jsonScript } from '../../lib/html.js';
+import { DEFAULT_LOCALE, localizedPath } from '../../lib/i18n.js';
+import { absoluteUrl } from '../../lib/structured-data.js';
+import { siteUrl } from '../../lib/site.js';
+
+/**
+ * Description, canonical URL, language alternates, Open Graph tags and JSON-LD for a page
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {string} data.locale - Language of the page
+ * @param {Object[]} data.locales - Every language, see localeContext() in lib/i18n.js
+ * @param {string} [data.title] - Page title, defaults to site.title
+ * @param {string} [data.description] - Page summary, defaults to site.description
+ * @param {string} [data.path] - Site path of the page in the default language, defaults to "/"
+ * @param {string} [data.image] - Preview image, defaults to the profile picture
+ * @param {string} [data.type] - Open Graph type, defaults to "website"
+ * @param {Object} [data.jsonLd] - schema.org data, see lib/structured-data.js
+ */
+export default function meta({
+    site,
+    locale,
+    locales,
+    title = site.title,
+    description = site.description,
+    path = '/',
+    image = site.person.image.url,
+    type = 'website',
+    jsonLd
+}) {
+    const baseUrl = siteUrl(site);
+    const urlFor = code => absoluteUrl(baseUrl, localizedPath(path, code));
+    const url = urlFor(locale);
+    const current = locales.find(item => item.code === locale);
+
+    return html`
+    <meta name="description" content="${description}">
+    <link rel="canonical" href="${url}">
+    ${locales.map(item => html`<link rel="alternate" hreflang="${item.code}" href="${urlFor(item.code)}">
+    `)}<link rel="alternate" hreflang="x-default" href="${urlFor(DEFAULT_LOCALE)}">
+    <meta property="og:type" content="${type}">
+    <meta property="og:site_name" content="${site.title}">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:url" content="${url}">
+    <meta property="og:image" content="${absoluteUrl(baseUrl, image)}">
+    <meta property="og:locale" content="${current.ogLocale}">
+    ${locales.filter(item => item !== current).map(item => html`<meta property="og:locale:alternate" content="${item.ogLocale}">
+    `)}<meta name="twitter:card" content="summary">
+    ${jsonLd ? html`<script type="application/ld+json">
+${jsonScript(jsonLd, 2)}
+    </script>` : ''}`;
+}
@@ -0,0 +1,38 @@
+import { html, jsonScript } from '../../lib/html.js';
+
+/**
+ * Project card, the same markup ProjectCatalog.createCard() builds in the browser
+ * @param {Object} project - Project from content/projects.json
+ */
+export function projectCard(project) {
+    const stack = project.stack || project.technologies || [];
+
+    return html`
+                        <div class="project-card" data-slug="${project.slug}">
+                            <div class="project-content">
+                                <h3 id="project-${project.slug}-title">${project.title}</h3>
+                                ${project.date ? html`<p class="date">${project.date}</p>` : ''}
+                                <p id="project-${project.slug}-summary">${project.summary}</p>
+                                ${stack.length > 0 ? html`<ul class="project-tech">${stack.map(tech => html`<li>${tech}</li>`)}</ul>` : ''}
+                            </div>
+                        </div>`;
+}
+
+/**
+ * Projects section. projects.js takes over the rendered cards and adds filtering and the modal,
+ * reading the catalog from the JSON block rather than from /api/projects, which a static host lacks.
+ * @param {Object} data
+ * @param {Object[]} data.projects - Project catalog
+ * @param {function(string, Object=): string} data.t - Translates interface strings
+ */
+export default function projects({ projects, t }) {
+    return html`
+            <section id="projects" class="section">
+                <div class="container">
+                    <h2 class="section-title">${t('sections.projects')}</h2>
+                    <div class="projects-grid" aria-live="polite">${projects.map(projectCard)}
+                    </div>
+                    <script type="application/json" id="project-catalog">${jsonScript({ projects })}</script>
+                </div>
+            </section>`;
+}
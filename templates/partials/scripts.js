@@ -0,0 +1,21 @@
+import { html } from '../../lib/html.js';
+
+/**
+ * Inline scripts at the end of <body>
+ */
+export default function scripts() {
+    return html`
+    <script>
+        // Add responsive behavior for projects grid
+        function handleResize() {
+            const projectsGrid = document.querySelector('.projects-grid');
+            if (projectsGrid) {
+                projectsGrid.style.gridTemplateColumns = \`repeat(auto-fill, minmax(300px, 1fr))\`;
+            }
+        }
+        
+        // Initialize responsive behavior
+        window.addEventListener('resize', handleResize);
+        handleResize(); // Initial call
+    </script>`;
+}
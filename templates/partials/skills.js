@@ -0,0 +1,25 @@
+import { html } from '../../lib/html.js';
+
+/**
+ * Skills & Competencies section
+ * @param {Object} data
+ * @param {Object} data.site - Site content
+ * @param {function(string, Object=): string} data.t - Translates interface strings
+ */
+export default function skills({ site, t }) {
+    return html`
+            <!-- Skills & Competencies -->
+            <section id="skills" class="section">
+                <div class="container">
+                    <h2 class="section-title">${t('sections.skills')}</h2>
+                    <div class="skills-grid">${site.skills.map(category => html`
+                        <div class="skill-category">
+                            <h3>${category.category}</h3>
+                            <ul class="skill-list">${category.items.map(skill => html`
+                                <li>${skill.name}${skill.level ? ` — ${skill.level}` : ''}</li>`)}
+                            </ul>
+                        </div>`)}
+                    </div>
+                </div>
+            </section>`;
+}
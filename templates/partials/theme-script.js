@@ -0,0 +1,30 @@
+import { html } from '../../lib/html.js';
+
+/**
+ * Inline script that applies the saved theme and accent before the first paint,
+ * so a light theme doesn't flash dark first. It also sets the browser's theme-color
+ * to the page background, so it must come after that meta tag when the page has one.
+ * static/js/theme.js takes over once loaded.
+ */
+export default function themeScript() {
+    return html`
+    <script>
+        (function () {
+            var root = document.documentElement;
+            var theme = null;
+            var accent = null;
+            try {
+                theme = localStorage.getItem('theme');
+                accent = localStorage.getItem('accent');
+            } catch (error) {
+                // Storage is disabled, use the defaults
+            }
+            root.dataset.theme = theme || (window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark');
+            root.dataset.accent = accent || 'green';
+
+            // --color-dark of each theme in static/css/theme.css; the stylesheet has not loaded yet
+            var themeColor = document.querySelector('meta[name="theme-color"]');
+            if (themeColor) themeColor.content = root.dataset.theme === 'light' ? '#f4f7f5' : '#0d0208';
+        })();
+    </script>`;
+}
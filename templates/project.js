@@ -0,0 +1,53 @@
+/**
+ * Project page
+ * Full page for one project, the same details the project modal shows
+ */
+import { html } from '../lib/html.js';
+import { localizedPath } from '../lib/i18n.js';
+import { siteUrl } from '../lib/site.js';
+import { projectJsonLd } from '../lib/structured-data.js';
+import layout from './layout.js';
+import mediaList from './partials/media.js';
+
+/**
+ * @param {Object} data
+ * @param {Object} data.site - Site content from content/site.json
+ * @param {Object} data.project - The project from content/projects.json
+ * @param {function(string): string} data.asset - Resolves source asset paths to hashed URLs
+ * @param {string} data.locale - Language of the page
+ * @param {function(string, Object=): string} data.t - Translates interface strings, see lib/i18n.js
+ * @returns {string} The HTML document
+ */
+export default function renderProject(data) {
+    const { project, locale, t } = data;
+    const technologies = project.technologies || [];
+
+    const page = {
+        ...data,
+        title: `${project.title} | ${data.site.person.name}`,
+        description: project.summary,
+        path: `/projects/${project.slug}`,
+        type: 'article',
+        jsonLd: projectJsonLd(data.site, project, siteUrl(data.site))
+    };
+    // Link previews show the first screenshot, the profile picture otherwise
+    const screenshot = project.media.find(item => item.type === 'image');
+    if (screenshot) page.image = screenshot.url;
+
+    return layout(page, html`
+            <article id="project" class="section project-page">
+                <div class="container">
+                    <p><a href="${localizedPath('/', locale)}#projects" class="project-back">&larr; ${t('project.back')}</a></p>
+                    <h1 class="section-title">${project.title}</h1>
+                    ${project.date ? html`<p class="date">${project.date}</p>` : ''}
+                    ${mediaList(project.media)}
+                    <p class="project-description">${project.description}</p>
+                    ${technologies.length > 0 ? html`<ul class="project-tech">${technologies.map(tech => html`<li>${tech}</li>`)}</ul>` : ''}
+                    ${project.projectUrl || project.codeUrl ? html`
+                    <div class="project-links">
+                        ${project.projectUrl ? html`<a href="${project.projectUrl}" class="btn btn-primary" target="_blank" rel="noopener">${t('project.view')}</a>` : ''}
+                        ${project.codeUrl ? html`<a href="${project.codeUrl}" class="btn btn-outline" target="_blank" rel="noopener">${t('project.code')}</a>` : ''}
+                    </div>` : ''}
+                </div>
+            </article>`);
+}
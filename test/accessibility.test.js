@@ -0,0 +1,136 @@
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { beforeEach, describe, expect, it } from 'vitest';
+import { HOME_SCRIPTS, catalogLoaded, loadPage, projectsApi, renderHomePage } from './helpers/page.js';
+
+const require = createRequire(import.meta.url);
+const axeSource = readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+
+// WCAG 2.1 A and AA. jsdom does no layout, so contrast is left to the browser.
+const AXE_OPTIONS = {
+    runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+    rules: { 'color-contrast': { enabled: false } }
+};
+
+/**
+ * Run axe on the page and describe each violation on one line
+ * @param {Window} window
+ * @returns {Promise<string[]>}
+ */
+async function axeViolations(window) {
+    if (!window.axe) window.eval(axeSource);
+    const { violations } = await window.axe.run(window.document, AXE_OPTIONS);
+    return violations.map(({ id, nodes }) => `${id}: ${nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+function press(window, target, key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('home page accessibility', () => {
+    let window;
+    let document;
+
+    beforeEach(async () => {
+        window = await loadPage(await renderHomePage(), { scripts: HOME_SCRIPTS, fetch: await projectsApi() });
+        document = window.document;
+        await catalogLoaded(window);
+    });
+
+    it('has no axe violations', async () => {
+        expect(await axeViolations(window)).toEqual([]);
+        expect(window.errors).toEqual([]);
+    });
+
+    it('has no axe violations with the project modal open', async () => {
+        document.querySelector('.project-card').click();
+        expect(window.projectModal.isOpen).toBe(true);
+        expect(await axeViolations(window)).toEqual([]);
+    });
+
+    it('makes the project cards keyboard operable', () => {
+        const card = document.querySelector('.project-card');
+        expect(card.getAttribute('role')).toBe('button');
+        expect(card.tabIndex).toBe(0);
+        expect(document.getElementById(card.getAttribute('aria-labelledby')).textContent)
+            .toBe(window.projectCatalog.getProject(card).title);
+
+        card.focus();
+        expect(press(window, card, 'Enter').defaultPrevented).toBe(true);
+        expect(window.projectModal.project).toBe(window.projectCatalog.getProject(card));
+
+        window.projectModal.close();
+        const second = document.querySelectorAll('.project-card')[1];
+        second.focus();
+        // Space must not scroll the page
+        expect(press(window, second, ' ').defaultPrevented).toBe(true);
+        expect(window.projectModal.project).toBe(window.projectCatalog.getProject(second));
+    });
+
+    it('labels the dialog and moves focus into it', () => {
+        const card = document.querySelector('.project-card');
+        card.focus();
+        card.click();
+
+        const dialog = document.querySelector('.project-modal');
+        const title = document.getElementById(dialog.getAttribute('aria-labelledby'));
+        expect(title.textContent).toBe(window.projectCatalog.getProject(card).title);
+        expect(document.activeElement).toBe(title);
+    });
+
+    it('makes the rest of the page inert while open', () => {
+        document.querySelector('.project-card').click();
+        const app = document.getElementById('app');
+        expect(app.hasAttribute('inert')).toBe(true);
+        expect(document.querySelector('.project-modal').hasAttribute('inert')).toBe(false);
+
+        window.projectModal.close();
+        expect(app.hasAttribute('inert')).toBe(false);
+    });
+
+    it('keeps Tab inside the dialog', () => {
+        document.querySelector('.project-card').click();
+        const focusable = window.projectModal.getFocusableElements();
+        expect(focusable.length).toBeGreaterThan(0);
+        expect(focusable.every(element => window.projectModal.modal.contains(element))).toBe(true);
+
+        // From the title, Tab goes to the first control and Shift+Tab to the last
+        expect(press(window, document.activeElement, 'Tab').defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(focusable[0]);
+        expect(press(window, document.activeElement, 'Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+        expect(document.activeElement).toBe(focusable[focusable.length - 1]);
+        press(window, document.activeElement, 'Tab');
+        expect(document.activeElement).toBe(focusable[0]);
+    });
+
+    it('returns focus to the card that opened it', () => {
+        const card = document.querySelectorAll('.project-card')[2];
+        card.focus();
+        card.click();
+        // Stepping through projects keeps the original card as the way back
+        window.projectModal.next();
+        press(window, document.activeElement, 'Escape');
+
+        expect(window.projectModal.isOpen).toBe(false);
+        expect(document.activeElement).toBe(card);
+    });
+
+    it('removes its listeners on destroy', () => {
+        const modal = window.projectModal;
+        document.querySelector('.project-card').click();
+        const { closeButton } = modal;
+        modal.destroy();
+
+        expect(modal.isOpen).toBe(false);
+        expect(document.getElementById('app').hasAttribute('inert')).toBe(false);
+        expect(document.querySelector('.project-modal')).toBeNull();
+
+        // Neither the keyboard nor the detached buttons reach the destroyed modal
+        modal.isOpen = true;
+        press(window, document.body, 'Escape');
+        closeButton.click();
+        expect(modal.isOpen).toBe(true);
+    });
+});
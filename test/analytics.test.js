@@ -0,0 +1,215 @@
+import express from 'express';
+import request from 'supertest';
+import { describe, expect, it, vi } from 'vitest';
+import { createEventsHandler, normalizeEvent, summarizeEvents } from '../lib/analytics.js';
+import { createRateLimiter } from '../lib/contact.js';
+import { loadPage } from './helpers/page.js';
+
+describe('analytics', () => {
+    describe('normalizeEvent', () => {
+        it('keeps only the fields of each type', () => {
+            expect(normalizeEvent({ type: 'pageview', path: '/', referrer: 'example.com', userAgent: 'Bot', ip: '192.0.2.1' }))
+                .toEqual({ type: 'pageview', path: '/', referrer: 'example.com' });
+            expect(normalizeEvent({ type: 'section', path: '/', section: 'about', project: 'alpha' }))
+                .toEqual({ type: 'section', path: '/', section: 'about' });
+            expect(normalizeEvent({ type: 'modal_open', path: '/', project: 'alpha', section: 'about' }))
+                .toEqual({ type: 'modal_open', path: '/', project: 'alpha' });
+        });
+
+        it('keeps the host of outbound clicks only for other sites', () => {
+            expect(normalizeEvent({ type: 'outbound', path: '/', kind: 'other', host: 'example.com', href: 'https://example.com/private?id=1' }))
+                .toEqual({ type: 'outbound', path: '/', kind: 'other', host: 'example.com' });
+            expect(normalizeEvent({ type: 'outbound', path: '/', kind: 'email', host: 'someone@example.com' }))
+                .toEqual({ type: 'outbound', path: '/', kind: 'email', host: undefined });
+            expect(normalizeEvent({ type: 'outbound', path: '/', kind: 'linkedin', host: 'www.linkedin.com' }))
+                .toEqual({ type: 'outbound', path: '/', kind: 'linkedin', host: undefined });
+        });
+
+        it('drops fields that are too long or not plain tokens', () => {
+            expect(normalizeEvent({ type: 'pageview', path: '/', referrer: 'a'.repeat(201) }).referrer).toBeUndefined();
+            expect(normalizeEvent({ type: 'pageview', path: '/', referrer: 'two words' }).referrer).toBeUndefined();
+            expect(normalizeEvent({ type: 'pageview', path: '/', referrer: { host: 'example.com' } }).referrer).toBeUndefined();
+        });
+
+        it.each([
+            ['an unknown type', { type: 'click', path: '/' }],
+            ['a missing path', { type: 'pageview' }],
+            ['a relative path', { type: 'pageview', path: 'about' }],
+            ['an oversized path', { type: 'pageview', path: `/${'a'.repeat(200)}` }],
+            ['a section without its id', { type: 'section', path: '/' }],
+            ['a modal without its project', { type: 'modal_open', path: '/', project: '<script>' }],
+            ['an unknown outbound kind', { type: 'outbound', path: '/', kind: 'twitter' }],
+            ['something other than an object', 'pageview']
+        ])('rejects %s', (name, event) => {
+            expect(normalizeEvent(event)).toBeNull();
+        });
+    });
+
+    describe('summarizeEvents', () => {
+        const now = new Date('2025-03-10T12:00:00Z');
+        const events = [
+            { receivedAt: '2025-03-10T08:00:00Z', type: 'pageview', path: '/', referrer: 'example.com' },
+            { receivedAt: '2025-03-10T09:00:00Z', type: 'pageview', path: '/', referrer: 'example.com' },
+            { receivedAt: '2025-03-09T09:00:00Z', type: 'pageview', path: '/projects/alpha' },
+            { receivedAt: '2025-01-01T09:00:00Z', type: 'pageview', path: '/zu', referrer: 'search.example' },
+            { receivedAt: '2025-03-10T09:00:00Z', type: 'section', path: '/', section: 'about' },
+            { receivedAt: '2025-03-10T09:00:00Z', type: 'modal_open', path: '/', project: 'beta' },
+            { receivedAt: '2025-03-10T09:00:00Z', type: 'modal_open', path: '/', project: 'alpha' },
+            { receivedAt: '2025-03-10T09:00:00Z', type: 'modal_open', path: '/', project: 'beta' },
+            { receivedAt: '2025-03-10T09:00:00Z', type: 'outbound', path: '/', kind: 'github' },
+            { receivedAt: '2025-03-10T09:00:00Z', type: 'outbound', path: '/', kind: 'other', host: 'example.com' }
+        ];
+
+        it('counts the events, most frequent first', () => {
+            const stats = summarizeEvents(events, { now });
+
+            expect(stats.total).toBe(10);
+            expect(stats.pageviews).toBe(4);
+            expect(stats.pages).toEqual([
+                { name: '/', count: 2 },
+                { name: '/projects/alpha', count: 1 },
+                { name: '/zu', count: 1 }
+            ]);
+            expect(stats.referrers).toEqual([{ name: 'example.com', count: 2 }, { name: 'search.example', count: 1 }]);
+            expect(stats.sections).toEqual([{ name: 'about', count: 1 }]);
+            expect(stats.projects).toEqual([{ name: 'beta', count: 2 }, { name: 'alpha', count: 1 }]);
+            expect(stats.outbound).toEqual([{ name: 'github', count: 1 }, { name: 'other', count: 1 }]);
+        });
+
+        it('lists the page views of every day in the period, oldest first', () => {
+            const { daily } = summarizeEvents(events, { now, days: 3 });
+
+            expect(daily).toEqual([
+                { day: '2025-03-08', count: 0 },
+                { day: '2025-03-09', count: 1 },
+                { day: '2025-03-10', count: 2 }
+            ]);
+        });
+
+        it('summarizes no events', () => {
+            const stats = summarizeEvents([], { now, days: 1 });
+
+            expect(stats).toMatchObject({ total: 0, pageviews: 0, daily: [{ day: '2025-03-10', count: 0 }], pages: [], outbound: [] });
+        });
+    });
+
+    describe('POST /api/events', () => {
+        const eventsApp = (options = {}) => {
+            const store = { save: vi.fn(async () => {}) };
+            const app = express().post(
+                '/api/events',
+                express.json({ type: ['application/json', 'text/plain'] }),
+                createEventsHandler({ store, ...options })
+            );
+            return { app, store };
+        };
+
+        it('stores the valid events with the time they arrived and drops the rest', async () => {
+            const { app, store } = eventsApp();
+            const response = await request(app).post('/api/events').send({
+                events: [
+                    { type: 'pageview', path: '/', referrer: 'example.com', screen: '1920x1080' },
+                    { type: 'unknown', path: '/' },
+                    { type: 'outbound', path: '/', kind: 'phone', host: '+27 11 555 0100' }
+                ]
+            });
+
+            expect(response.status).toBe(204);
+            expect(store.save.mock.calls.map(([event]) => event)).toEqual([
+                { receivedAt: expect.any(String), type: 'pageview', path: '/', referrer: 'example.com' },
+                { receivedAt: expect.any(String), type: 'outbound', path: '/', kind: 'phone', host: undefined }
+            ]);
+        });
+
+        it('takes the events as text, as sendBeacon may send them', async () => {
+            const { app, store } = eventsApp();
+            const response = await request(app).post('/api/events').type('text/plain')
+                .send(JSON.stringify({ events: [{ type: 'pageview', path: '/' }] }));
+
+            expect(response.status).toBe(204);
+            expect(store.save).toHaveBeenCalledTimes(1);
+        });
+
+        it.each([
+            ['without a list of events', { event: { type: 'pageview', path: '/' } }],
+            ['with more than 20 events', { events: Array.from({ length: 21 }, () => ({ type: 'pageview', path: '/' })) }]
+        ])('refuses a batch %s', async (name, body) => {
+            const { app, store } = eventsApp();
+            const response = await request(app).post('/api/events').send(body);
+
+            expect(response.status).toBe(400);
+            expect(store.save).not.toHaveBeenCalled();
+        });
+
+        it('drops the batches over the rate limit', async () => {
+            const { app, store } = eventsApp({ rateLimiter: createRateLimiter({ limit: 1 }) });
+            const body = { events: [{ type: 'pageview', path: '/' }] };
+
+            expect((await request(app).post('/api/events').send(body)).status).toBe(204);
+            expect((await request(app).post('/api/events').send(body)).status).toBe(204);
+            expect(store.save).toHaveBeenCalledTimes(1);
+        });
+
+        it('answers 503 while events cannot be stored, logging it once', async () => {
+            const log = { error: vi.fn() };
+            const store = { save: vi.fn(async () => { throw new Error('EROFS: read-only file system'); }) };
+            const app = express().post(
+                '/api/events',
+                (req, res, next) => { req.log = log; next(); },
+                express.json(),
+                createEventsHandler({ store })
+            );
+            const body = { events: [{ type: 'pageview', path: '/' }] };
+
+            for (let i = 0; i < 2; i++) {
+                const response = await request(app).post('/api/events').send(body);
+                expect(response.status).toBe(503);
+                expect(response.body).toEqual({ ok: false, error: 'Could not store the events.' });
+            }
+            expect(log.error).toHaveBeenCalledTimes(1);
+
+            store.save.mockResolvedValueOnce();
+            expect((await request(app).post('/api/events').send(body)).status).toBe(204);
+            store.save.mockRejectedValueOnce(new Error('EROFS: read-only file system'));
+            await request(app).post('/api/events').send(body);
+            expect(log.error).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('outbound clicks in the browser', () => {
+        const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+    <a href="https://www.linkedin.com/in/someone" class="linkedin">LinkedIn</a>
+    <a href="https://example.com/some/path?ref=cv" class="other">Elsewhere</a>
+    <a href="mailto:someone@example.com" class="email">Email</a>
+    <a href="/projects/alpha" class="local">Alpha</a>
+</body>
+</html>`;
+
+        const outboundEvents = async (selector) => {
+            const fetch = vi.fn(async () => ({ ok: true }));
+            const window = await loadPage(PAGE, { scripts: ['analytics.js'], fetch });
+            // Links go nowhere in jsdom
+            window.document.addEventListener('click', event => event.preventDefault());
+            window.document.querySelector(selector).click();
+
+            return fetch.mock.calls
+                .flatMap(([, init]) => JSON.parse(init.body).events)
+                .filter(event => event.type === 'outbound');
+        };
+
+        it('records the host of other sites, without the path or query', async () => {
+            expect(await outboundEvents('.other')).toEqual([{ type: 'outbound', path: '/', kind: 'other', host: 'example.com' }]);
+        });
+
+        it('records only the kind of named sites and contact links', async () => {
+            expect(await outboundEvents('.linkedin')).toEqual([{ type: 'outbound', path: '/', kind: 'linkedin' }]);
+            expect(await outboundEvents('.email')).toEqual([{ type: 'outbound', path: '/', kind: 'email' }]);
+        });
+
+        it('leaves links within the site alone', async () => {
+            expect(await outboundEvents('.local')).toEqual([]);
+        });
+    });
+});
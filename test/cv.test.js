@@ -0,0 +1,150 @@
+import { describe, expect, it } from 'vitest';
+import { JSON_RESUME_SCHEMA, dateRange, isoDate, toJsonResume } from '../lib/cv.js';
+
+describe('cv', () => {
+    describe('isoDate', () => {
+        it.each([
+            ['2019', '2019'],
+            ['Nov 2022', '2022-11'],
+            ['November 2022', '2022-11'],
+            ['Sept. 2021', '2021-09'],
+            ['Mar 31, 2024', '2024-03-31'],
+            ['May 8 2025', '2025-05-08'],
+            ['  jun 2022  ', '2022-06']
+        ])('reads %j as %j', (text, expected) => {
+            expect(isoDate(text)).toBe(expected);
+        });
+
+        it.each([
+            ['an empty string', ''],
+            ['nothing', undefined],
+            ['an unknown month', 'Foo 2022'],
+            ['a two-digit year', 'Nov 22'],
+            ['a numeric date', '2022-11-01'],
+            ['words', 'Present'],
+            ['a date with a note', 'Nov 2022 (expected)']
+        ])('leaves out %s', (name, text) => {
+            expect(isoDate(text)).toBeUndefined();
+        });
+    });
+
+    describe('dateRange', () => {
+        it('splits a range on an en dash, em dash or hyphen', () => {
+            expect(dateRange('Nov 2022 – Dec 2024')).toEqual({ startDate: '2022-11', endDate: '2024-12' });
+            expect(dateRange('Mar 31, 2024 — Apr 27, 2024')).toEqual({ startDate: '2024-03-31', endDate: '2024-04-27' });
+            expect(dateRange('2016 - 2019')).toEqual({ startDate: '2016', endDate: '2019' });
+        });
+
+        it('leaves the end out of a range that runs to the present', () => {
+            expect(dateRange('Jun 2022 – Present')).toEqual({ startDate: '2022-06', endDate: undefined });
+            expect(dateRange('Jun 2022 - present')).toEqual({ startDate: '2022-06', endDate: undefined });
+        });
+
+        it('ignores notes in brackets', () => {
+            expect(dateRange('Feb 2020 – Nov 2022 (Graduated May 2023)')).toEqual({ startDate: '2020-02', endDate: '2022-11' });
+        });
+
+        it('takes a single date as the start', () => {
+            expect(dateRange('May 2023')).toEqual({ startDate: '2023-05', endDate: undefined });
+        });
+
+        it('leaves out the dates it cannot read', () => {
+            expect(dateRange('Sometime – Dec 2024')).toEqual({ startDate: undefined, endDate: '2024-12' });
+            expect(dateRange('Summer term')).toEqual({ startDate: undefined, endDate: undefined });
+            expect(dateRange(undefined)).toEqual({});
+            expect(dateRange('')).toEqual({});
+        });
+    });
+
+    describe('toJsonResume', () => {
+        const site = {
+            about: ['First paragraph.', 'Second paragraph.'],
+            person: {
+                name: 'Thandi Nkosi',
+                headline: 'Developer',
+                image: { url: '/static/img/me.jpg', alt: 'Thandi' }
+            },
+            contact: {
+                links: [
+                    { label: 'LinkedIn', icon: 'linkedin', url: 'https://www.linkedin.com/in/thandi-nkosi/' },
+                    { label: 'Email', icon: 'email', url: 'mailto:thandi@example.com' },
+                    { label: 'Phone', icon: 'phone', url: 'tel:+27115550100' }
+                ]
+            },
+            experience: [
+                {
+                    role: 'Engineer',
+                    organization: 'Example Ltd.',
+                    date: 'Jun 2022 – Present',
+                    achievements: 'Shipped things.',
+                    highlights: ['Built a thing.']
+                },
+                { role: 'Intern', organization: 'Elsewhere', date: 'Sometime', highlights: [] }
+            ],
+            education: [
+                { qualification: 'BSc', institution: 'University', majors: 'Computing', date: 'Feb 2018 – Nov 2021 (Graduated May 2022)' },
+                { qualification: 'Matric', institution: 'High School' }
+            ],
+            skills: [{ category: 'Languages', items: [{ name: 'JavaScript' }, { name: 'Python' }] }],
+            certifications: [{ name: 'Certified', date: 'May 28, 2025' }, { name: 'Undated', date: 'Soon' }]
+        };
+        const projects = [
+            { slug: 'alpha', title: 'Alpha', summary: 'The first.', technologies: ['Node.js'] },
+            { slug: 'beta', title: 'Beta', summary: 'The second.', technologies: [], projectUrl: 'https://beta.example' }
+        ];
+
+        const resume = toJsonResume({ site, projects, baseUrl: 'https://example.com' });
+
+        it('describes the person, with absolute links and the contact details', () => {
+            expect(resume.$schema).toBe(JSON_RESUME_SCHEMA);
+            expect(resume.basics).toEqual({
+                name: 'Thandi Nkosi',
+                label: 'Developer',
+                image: 'https://example.com/static/img/me.jpg',
+                email: 'thandi@example.com',
+                phone: '+27115550100',
+                url: 'https://example.com',
+                summary: 'First paragraph.\n\nSecond paragraph.',
+                profiles: [{ network: 'LinkedIn', username: 'thandi-nkosi', url: 'https://www.linkedin.com/in/thandi-nkosi/' }]
+            });
+            expect(resume.meta).toEqual({ canonical: 'https://example.com/cv.json' });
+        });
+
+        it('dates the work and education, leaving out what cannot be read', () => {
+            expect(resume.work).toEqual([
+                {
+                    name: 'Example Ltd.',
+                    position: 'Engineer',
+                    startDate: '2022-06',
+                    endDate: undefined,
+                    summary: 'Shipped things.',
+                    highlights: ['Built a thing.']
+                },
+                { name: 'Elsewhere', position: 'Intern', startDate: undefined, endDate: undefined, summary: undefined, highlights: [] }
+            ]);
+            expect(resume.education).toEqual([
+                { institution: 'University', studyType: 'BSc', area: 'Computing', startDate: '2018-02', endDate: '2021-11' },
+                { institution: 'High School', studyType: 'Matric', area: undefined }
+            ]);
+            expect(resume.certificates).toEqual([
+                { name: 'Certified', date: '2025-05-28' },
+                { name: 'Undated', date: undefined }
+            ]);
+        });
+
+        it('lists the skills and the projects, linking to their pages unless they have a site of their own', () => {
+            expect(resume.skills).toEqual([{ name: 'Languages', keywords: ['JavaScript', 'Python'] }]);
+            expect(resume.projects).toEqual([
+                { name: 'Alpha', description: 'The first.', keywords: ['Node.js'], url: 'https://example.com/projects/alpha' },
+                { name: 'Beta', description: 'The second.', keywords: [], url: 'https://beta.example' }
+            ]);
+        });
+
+        it('drops the fields it cannot fill when serialized', () => {
+            const json = JSON.parse(JSON.stringify(resume));
+
+            expect(json.work[0]).not.toHaveProperty('endDate');
+            expect(json.certificates[1]).toEqual({ name: 'Undated' });
+        });
+    });
+});
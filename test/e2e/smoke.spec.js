@@ -0,0 +1,136 @@
+/**
+ * Smoke tests in a real browser against server.js, see playwright.config.js.
+ * Everything the pages load must come from the local server, so the suite runs offline.
+ */
+import { expect, test } from '@playwright/test';
+
+// Bundles whose scripts the home page cannot work without
+const BUNDLES = ['i18n', 'theme', 'projects', 'project-filters', 'media-gallery', 'project-modal', 'main'];
+
+/**
+ * Fail requests that leave the local server and record errors and scripts as the page loads
+ * @param {import('@playwright/test').Page} page
+ * @returns {{ errors: string[], external: string[], scripts: import('@playwright/test').Response[] }}
+ */
+function watch(page) {
+    const problems = { errors: [], external: [], scripts: [] };
+    const isLocal = url => ['127.0.0.1', 'localhost'].includes(url.hostname) || url.protocol === 'data:';
+
+    page.route(url => !isLocal(url), (route) => {
+        problems.external.push(route.request().url());
+        return route.abort('internetdisconnected');
+    });
+    page.on('console', (message) => {
+        if (message.type() === 'error') problems.errors.push(message.text());
+    });
+    page.on('pageerror', error => problems.errors.push(error.message));
+    page.on('response', (response) => {
+        if (response.request().resourceType() === 'script') problems.scripts.push(response);
+    });
+
+    return problems;
+}
+
+/**
+ * Open the home page and wait until the catalog has bound the project cards
+ * @param {import('@playwright/test').Page} page
+ */
+async function openHome(page) {
+    await page.goto('/');
+    await page.waitForFunction(() => window.projectModal && window.projectCatalog && window.projectCatalog.projects.length > 0);
+}
+
+test.describe('home page', () => {
+    let problems;
+
+    test.beforeEach(async ({ page }) => {
+        problems = watch(page);
+        await openHome(page);
+    });
+
+    test.afterEach(() => {
+        expect(problems.external).toEqual([]);
+    });
+
+    test('loads its scripts without errors', async () => {
+        const loaded = problems.scripts.map(response => new URL(response.url()).pathname);
+        for (const bundle of BUNDLES) {
+            expect(loaded, `${bundle} bundle`).toContainEqual(expect.stringMatching(new RegExp(`^/static/js/${bundle}\\.[^/]+\\.js$`)));
+        }
+
+        // An empty bundle loads fine but does nothing
+        for (const response of problems.scripts) {
+            expect(response.status(), response.url()).toBe(200);
+            expect((await response.body()).length, response.url()).toBeGreaterThan(0);
+        }
+        expect(problems.errors).toEqual([]);
+    });
+
+    test('opens and closes each project', async ({ page }) => {
+        const dialog = page.locator('.project-modal');
+        const cards = page.locator('.project-card');
+        const count = await cards.count();
+        expect(count).toBeGreaterThan(0);
+
+        for (let i = 0; i < count; i++) {
+            const card = cards.nth(i);
+            const slug = await card.getAttribute('data-slug');
+            const title = await card.locator('h3').textContent();
+
+            await card.click();
+            await expect(dialog).toHaveAttribute('aria-hidden', 'false');
+            await expect(dialog.locator('.project-title')).toHaveText(title);
+            await expect(page).toHaveURL(new RegExp(`#/projects/${slug}$`));
+
+            await dialog.locator('.modal-close').click();
+            await expect(dialog).toHaveAttribute('aria-hidden', 'true');
+            await expect(page).not.toHaveURL(/#\/projects\//);
+            await expect(card).toBeFocused();
+        }
+        expect(problems.errors).toEqual([]);
+    });
+
+    test('marks the section in view in the navigation', async ({ page }) => {
+        for (const section of ['projects', 'experience', 'about']) {
+            const link = page.locator(`nav a[href="#${section}"]`);
+            await link.click();
+
+            await expect(link).toHaveAttribute('aria-current', 'location');
+            await expect(link).toHaveClass(/\bactive\b/);
+            await expect(page.locator('nav a[aria-current]')).toHaveCount(1);
+        }
+    });
+
+    test('looks the same', async ({ page }) => {
+        // The matrix is random, and the headline may still be being typed
+        await expect(page).toHaveScreenshot('home.png', { mask: [page.locator('#matrix-canvas'), page.locator('.hero .subtitle')] });
+
+        await page.locator('.project-card').first().click();
+        await expect(page.locator('.project-modal .modal-content')).toHaveScreenshot('project-modal.png');
+    });
+});
+
+test.describe('404 page', () => {
+    test('answers unknown paths', async ({ page }) => {
+        const problems = watch(page);
+        const response = await page.goto('/no-such-page');
+
+        expect(response.status()).toBe(404);
+        await expect(page.locator('html')).toHaveAttribute('lang', 'en');
+        await expect(page.locator('.error-code')).toHaveText('404');
+        await expect(page.locator('.home-link')).toHaveAttribute('href', '/');
+        await expect(page).toHaveScreenshot('404.png', { mask: [page.locator('#matrix-container')] });
+
+        await page.locator('.home-link').click();
+        await expect(page).toHaveURL('/');
+        expect(problems.external).toEqual([]);
+    });
+
+    test('is in the language of the path', async ({ page }) => {
+        const response = await page.goto('/zu/no-such-page');
+
+        expect(response.status()).toBe(404);
+        await expect(page.locator('html')).toHaveAttribute('lang', 'zu');
+        await expect(page.locator('.home-link')).toHaveAttribute('href', '/zu');
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Test pages
+ * Renders pages from the content files and loads them into jsdom together with
+ * the browser scripts from static/js/. Needs no build: assets resolve to their
+ * source paths. Pages carry the project catalog; projectsApi() stands in for
+ * /api/projects on pages without it.
+ */
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { DEFAULT_LOCALE, getLocales, localeContext } from '../../lib/i18n.js';
+import { getProjects } from '../../lib/projects.js';
+import { getSite } from '../../lib/site.js';
+import renderIndex from '../../templates/index.js';
+
+const scriptsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'static', 'js');
+
+// Everything the home page loads, minus the matrix and analytics, in load order
+export const HOME_SCRIPTS = ['i18n.js', 'theme.js', 'projects.js', 'project-filters.js', 'media-gallery.js', 'project-modal.js'];
+
+/**
+ * The data the templates render from, as lib/render.js passes it
+ * @param {string} [locale]
+ * @returns {Promise<Object>}
+ */
+export async function templateData(locale = DEFAULT_LOCALE) {
+    const [site, projects, bundles] = await Promise.all([getSite(), getProjects(), getLocales()]);
+    return {
+        projects,
+        asset: source => `/static/${source}`,
+        ...localeContext(bundles, locale, site)
+    };
+}
+
+/**
+ * Render the home page
+ * @param {string} [locale]
+ * @returns {Promise<string>}
+ */
+export async function renderHomePage(locale = DEFAULT_LOCALE) {
+    return renderIndex(await templateData(locale));
+}
+
+/**
+ * A fetch that answers /api/projects with the project catalog
+ * @returns {Promise<function(string): Promise<Object>>}
+ */
+export async function projectsApi() {
+    // Through JSON, as the browser would get it
+    const body = JSON.parse(JSON.stringify({ projects: await getProjects() }));
+    return async () => ({ ok: true, status: 200, json: async () => body });
+}
+
+/**
+ * Load a page into jsdom and run browser scripts in it
+ * @param {string} html - The document
+ * @param {Object} [options]
+ * @param {string[]} [options.scripts] - Files in static/js/ to run, in order
+ * @param {string} [options.url] - Address of the page
+ * @param {Function} [options.fetch] - Stands in for window.fetch
+ * @returns {Promise<Window>} The window, once the load event has fired
+ */
+export async function loadPage(html, { scripts = [], url = 'http://localhost/', fetch } = {}) {
+    // Script errors fail the test; the page's own logging is left out of the output
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (error) => {
+        if (!/Not implemented/.test(error.message)) errors.push(error);
+    });
+
+    const { window } = new JSDOM(html, {
+        url,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.matchMedia = query => ({
+                media: query,
+                matches: false,
+                addEventListener() {},
+                removeEventListener() {}
+            });
+            window.scrollTo = () => {};
+            if (fetch) window.fetch = fetch;
+        }
+    });
+    window.errors = errors;
+
+    scripts.forEach(file => window.eval(readFileSync(path.join(scriptsDir, file), 'utf8')));
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    return window;
+}
+
+/**
+ * Wait for an event on the document
+ * @param {Window} window
+ * @param {string} type
+ * @returns {Promise<Event>}
+ */
+export function nextEvent(window, type) {
+    return new Promise(resolve => window.document.addEventListener(type, resolve, { once: true }));
+}
+
+/**
+ * Wait until ProjectCatalog has loaded and bound the cards
+ * @param {Window} window
+ * @returns {Promise<void>}
+ */
+export async function catalogLoaded(window) {
+    // The cards are bound in the same task that fills in the projects
+    if (window.projectCatalog && window.projectCatalog.projects.length > 0) return;
+    await nextEvent(window, 'projects:rendered');
+}
@@ -0,0 +1,251 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { loadPage, renderHomePage } from './helpers/page.js';
+
+// Just the parts of the page main.js works on
+const PAGE = `<!DOCTYPE html>
+<html lang="en">
+<body>
+    <nav>
+        <a href="#about" class="nav-link">About</a>
+        <a href="#projects" class="nav-link">Projects</a>
+        <a href="#/projects/demo" class="project-route">Demo</a>
+        <a href="#" class="top">Top</a>
+        <a href="#missing" class="missing">Missing</a>
+    </nav>
+    <section id="about"></section>
+    <section id="projects"></section>
+</body>
+</html>`;
+
+describe('main.js', () => {
+    let window;
+    let document;
+
+    beforeEach(async () => {
+        window = await loadPage(PAGE, { scripts: ['main.js'] });
+        document = window.document;
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('throttle', () => {
+        // Installed after the load event, which jsdom fires from a timer of its own
+        beforeEach(() => vi.useFakeTimers());
+
+        it('runs the first call straight away and drops the rest until the limit has passed', () => {
+            const func = vi.fn();
+            const throttled = window.throttle(func, 100);
+
+            throttled('a');
+            throttled('b');
+            vi.advanceTimersByTime(99);
+            throttled('c');
+            expect(func.mock.calls).toEqual([['a']]);
+
+            vi.advanceTimersByTime(1);
+            throttled('d');
+            expect(func.mock.calls).toEqual([['a'], ['d']]);
+        });
+
+        it('keeps this and every argument', () => {
+            const target = { func: vi.fn() };
+            target.throttled = window.throttle(target.func, 100);
+
+            target.throttled(1, 2);
+            expect(target.func).toHaveBeenCalledWith(1, 2);
+            expect(target.func.mock.contexts[0]).toBe(target);
+        });
+    });
+
+    describe('debounce', () => {
+        beforeEach(() => vi.useFakeTimers());
+
+        it('runs once, with the last call, after calls stop for the wait', () => {
+            const func = vi.fn();
+            const debounced = window.debounce(func, 200);
+
+            debounced('a');
+            vi.advanceTimersByTime(150);
+            debounced('b');
+            vi.advanceTimersByTime(199);
+            expect(func).not.toHaveBeenCalled();
+
+            vi.advanceTimersByTime(1);
+            expect(func.mock.calls).toEqual([['b']]);
+        });
+
+        it('keeps this', () => {
+            const target = { func: vi.fn() };
+            target.debounced = window.debounce(target.func, 200);
+
+            target.debounced();
+            vi.runAllTimers();
+            expect(target.func.mock.contexts[0]).toBe(target);
+        });
+    });
+
+    describe('handleSmoothScroll', () => {
+        const click = (element) => {
+            const event = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+            element.dispatchEvent(event);
+            return event;
+        };
+
+        beforeEach(() => {
+            window.scrollTo = vi.fn();
+            // jsdom does no layout
+            Object.defineProperty(document.getElementById('projects'), 'offsetTop', { value: 500 });
+        });
+
+        it('scrolls smoothly to the section, leaving room for the header', () => {
+            const event = click(document.querySelector('a[href="#projects"]'));
+
+            expect(event.defaultPrevented).toBe(true);
+            expect(window.scrollTo).toHaveBeenCalledWith({ top: 420, behavior: 'smooth' });
+        });
+
+        it('leaves #/ routes to the project modal', () => {
+            const event = click(document.querySelector('.project-route'));
+
+            expect(event.defaultPrevented).toBe(false);
+            expect(window.scrollTo).not.toHaveBeenCalled();
+        });
+
+        it('ignores links to # and to elements that do not exist', () => {
+            expect(click(document.querySelector('.top')).defaultPrevented).toBe(true);
+            expect(click(document.querySelector('.missing')).defaultPrevented).toBe(true);
+            expect(window.scrollTo).not.toHaveBeenCalled();
+        });
+
+        it('ignores clicks outside in-page links', () => {
+            const event = click(document.getElementById('about'));
+
+            expect(event.defaultPrevented).toBe(false);
+            expect(window.scrollTo).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('updateActiveNavLink', () => {
+        const activeLinks = () => Array.from(document.querySelectorAll('nav a'))
+            .filter(link => link.classList.contains('active'))
+            .map(link => [link.getAttribute('href'), link.getAttribute('aria-current')]);
+
+        it('marks the link to the current section', () => {
+            window.updateActiveNavLink('projects');
+            expect(activeLinks()).toEqual([['#projects', 'location']]);
+
+            window.updateActiveNavLink('about');
+            expect(activeLinks()).toEqual([['#about', 'location']]);
+            expect(document.querySelector('a[href="#projects"]').hasAttribute('aria-current')).toBe(false);
+        });
+
+        it('clears every link when no section is current', () => {
+            window.updateActiveNavLink('about');
+            window.updateActiveNavLink('');
+
+            expect(activeLinks()).toEqual([]);
+            expect(document.querySelectorAll('nav [aria-current]')).toHaveLength(0);
+        });
+    });
+
+    describe('initTypewriter', () => {
+        beforeEach(() => vi.useFakeTimers());
+
+        it('types the hero subtitle out one character at a time after a delay', () => {
+            const hero = document.createElement('section');
+            hero.className = 'hero';
+            hero.innerHTML = '<h2 class="subtitle">  Hello  </h2>';
+            document.body.appendChild(hero);
+            const subtitle = hero.querySelector('.subtitle');
+
+            window.initTypewriter();
+            expect(subtitle.textContent).toBe('');
+
+            vi.advanceTimersByTime(1000);
+            expect(subtitle.textContent).toBe('H');
+            vi.advanceTimersByTime(50 * 3);
+            expect(subtitle.textContent).toBe('Hell');
+            vi.advanceTimersByTime(50);
+            expect(subtitle.textContent).toBe('Hello');
+
+            vi.runAllTimers();
+            expect(subtitle.textContent).toBe('Hello');
+        });
+
+        it('does nothing on pages without a hero subtitle', () => {
+            expect(() => window.initTypewriter()).not.toThrow();
+            expect(vi.getTimerCount()).toBe(0);
+        });
+
+        it('types the headline of the home page once per page load', async () => {
+            const html = await renderHomePage();
+            // Faked from the start this time, leaving jsdom the rest of what it needs to fire load
+            vi.useRealTimers();
+            vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+            const page = await loadPage(html, { scripts: ['main.js'] });
+            const subtitle = page.document.querySelector('.hero .subtitle');
+            const headline = new page.DOMParser().parseFromString(html, 'text/html')
+                .querySelector('.hero .subtitle').textContent.trim();
+            expect(subtitle.textContent).toBe('');
+
+            // A second run would clear the subtitle and start typing it again
+            expect(vi.getTimerCount()).toBe(1);
+            vi.runAllTimers();
+            expect(subtitle.textContent).toBe(headline);
+        });
+    });
+
+    // jsdom has no IntersectionObserver, so the scroll listener is in use
+    describe('scroll spy without IntersectionObserver', () => {
+        const activeLink = () => document.querySelector('nav a.active');
+
+        const scrollTo = (y) => {
+            Object.defineProperty(window, 'scrollY', { value: y, configurable: true });
+            window.dispatchEvent(new window.Event('scroll'));
+        };
+
+        beforeEach(() => {
+            vi.useFakeTimers();
+            // Sections at 500px and 1500px down the page
+            [['about', 500], ['projects', 1500]].forEach(([id, top]) => {
+                document.getElementById(id).getBoundingClientRect = () => ({ top: top - window.scrollY });
+            });
+        });
+
+        afterEach(() => {
+            scrollTo(0);
+            vi.runAllTimers();
+        });
+
+        it('marks the last section whose top has passed the line below the header', () => {
+            expect('IntersectionObserver' in window).toBe(false);
+
+            scrollTo(400);
+            expect(activeLink().getAttribute('href')).toBe('#about');
+
+            vi.advanceTimersByTime(100);
+            scrollTo(1450);
+            expect(activeLink().getAttribute('href')).toBe('#projects');
+
+            vi.advanceTimersByTime(100);
+            scrollTo(0);
+            expect(activeLink()).toBeNull();
+        });
+
+        it('checks at most every 100ms while scrolling', () => {
+            scrollTo(400);
+            scrollTo(1450);
+            expect(activeLink().getAttribute('href')).toBe('#about');
+
+            vi.advanceTimersByTime(100);
+            scrollTo(1460);
+            expect(activeLink().getAttribute('href')).toBe('#projects');
+        });
+    });
+
+    it('runs without errors', () => {
+        expect(window.errors).toEqual([]);
+    });
+});
@@ -0,0 +1,612 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { HOME_SCRIPTS, catalogLoaded, loadPage, projectsApi, renderHomePage } from './helpers/page.js';
+
+// Shaped like the /api/projects entries: one with everything, one with a video, one bare
+const PROJECTS = [
+    {
+        slug: 'alpha',
+        title: 'Alpha',
+        description: 'The first project',
+        technologies: ['Node.js', 'Express'],
+        projectUrl: 'https://example.com/alpha',
+        codeUrl: 'https://github.com/example/alpha',
+        media: [{ type: 'image', url: '/media/alpha.png', srcset: '/media/alpha-400.png 400w, /media/alpha.png 800w', alt: 'Alpha' }]
+    },
+    {
+        slug: 'beta',
+        title: 'Beta',
+        description: 'The second project',
+        technologies: [],
+        media: [{ type: 'video', url: '/media/beta.mp4', poster: '/media/beta.jpg' }]
+    },
+    {
+        slug: 'gamma',
+        title: 'Gamma',
+        description: 'The third project'
+    }
+];
+
+function press(window, target, key, options = {}) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('ProjectModal', () => {
+    let window;
+    let document;
+    let modal;
+    let sequence;
+    let alpha;
+    let beta;
+    let gamma;
+
+    beforeEach(async () => {
+        window = await loadPage(await renderHomePage(), { scripts: HOME_SCRIPTS, fetch: await projectsApi() });
+        document = window.document;
+        await catalogLoaded(window);
+
+        // A modal of our own over made-up projects, in place of the page's
+        window.projectModal.destroy();
+        [alpha, beta, gamma] = structuredClone(PROJECTS);
+        sequence = [alpha, beta, gamma];
+        modal = new window.ProjectModal({ getSequence: () => sequence });
+    });
+
+    describe('slugFromHash', () => {
+        it('reads the slug from a project route', () => {
+            expect(window.ProjectModal.slugFromHash('#/projects/alpha')).toBe('alpha');
+            expect(window.ProjectModal.slugFromHash('#/projects/two%20words')).toBe('two words');
+        });
+
+        it('returns null for anything else', () => {
+            expect(window.ProjectModal.slugFromHash('#/projects/')).toBeNull();
+            expect(window.ProjectModal.slugFromHash('#projects')).toBeNull();
+            expect(window.ProjectModal.slugFromHash('')).toBeNull();
+        });
+
+        it('returns null for a slug that is not valid percent-encoding', () => {
+            expect(window.ProjectModal.slugFromHash('#/projects/%E0%A4%A')).toBeNull();
+            expect(window.ProjectModal.slugFromHash('#/projects/100%')).toBeNull();
+        });
+
+        it('defaults to the current location', () => {
+            window.history.replaceState(null, '', '#/projects/beta');
+            expect(window.ProjectModal.slugFromHash()).toBe('beta');
+        });
+    });
+
+    describe('createModal', () => {
+        it('adds a hidden, labelled dialog to the page', () => {
+            const dialogs = document.querySelectorAll('.project-modal');
+            expect(dialogs).toHaveLength(1);
+            expect(dialogs[0]).toBe(modal.modal);
+            expect(modal.modal.getAttribute('role')).toBe('dialog');
+            expect(modal.modal.getAttribute('aria-modal')).toBe('true');
+            expect(modal.modal.getAttribute('aria-hidden')).toBe('true');
+            expect(document.getElementById(modal.modal.getAttribute('aria-labelledby'))).toBe(modal.titleElement);
+        });
+
+        it('translates its labels', () => {
+            expect(modal.closeButton.getAttribute('aria-label')).toBe(window.i18n.t('modal.close'));
+            expect(modal.pager.getAttribute('aria-label')).toBe(window.i18n.t('modal.pager'));
+            expect(modal.projectLink.textContent).toBe(window.i18n.t('project.view'));
+            expect(modal.codeLink.textContent).toBe(window.i18n.t('project.code'));
+        });
+
+        it('merges its options over the defaults', () => {
+            const other = new window.ProjectModal({ closeOnEsc: false });
+            expect(other.options).toMatchObject({ ...window.ProjectModal.defaultOptions, closeOnEsc: false });
+            other.destroy();
+        });
+    });
+
+    describe('open', () => {
+        it('shows the project and focuses its title', () => {
+            const opened = vi.fn();
+            document.addEventListener('projectModal:open', opened);
+            modal.open(alpha);
+
+            expect(modal.isOpen).toBe(true);
+            expect(modal.project).toBe(alpha);
+            expect(modal.modal.classList.contains('active')).toBe(true);
+            expect(modal.modal.getAttribute('aria-hidden')).toBe('false');
+            expect(document.body.style.overflow).toBe('hidden');
+            expect(document.activeElement).toBe(modal.titleElement);
+            expect(opened.mock.calls[0][0].detail.project).toBe(alpha);
+        });
+
+        it('puts the project route in the URL', () => {
+            const { length } = window.history;
+            modal.open(alpha);
+
+            expect(window.location.hash).toBe('#/projects/alpha');
+            expect(window.history.length).toBe(length + 1);
+            expect(modal.pushedHistory).toBe(true);
+        });
+
+        it('does nothing for the project already shown', () => {
+            const opened = vi.fn();
+            modal.open(alpha);
+            document.addEventListener('projectModal:open', opened);
+            modal.open(alpha);
+
+            expect(opened).not.toHaveBeenCalled();
+        });
+
+        it('replaces the history entry when moving to another project', () => {
+            modal.open(alpha);
+            const { length } = window.history;
+            modal.open(beta);
+
+            expect(window.location.hash).toBe('#/projects/beta');
+            expect(window.history.length).toBe(length);
+        });
+
+        it('leaves the URL alone when opened from it', () => {
+            modal.open(alpha, { fromHistory: true });
+
+            expect(window.location.hash).toBe('');
+            expect(modal.pushedHistory).toBe(false);
+        });
+    });
+
+    describe('close', () => {
+        it('hides the dialog and steps back over the entry it pushed', () => {
+            const closed = vi.fn();
+            const back = vi.spyOn(window.history, 'back');
+            document.addEventListener('projectModal:close', closed);
+            modal.open(beta);
+            const pause = vi.spyOn(modal.gallery, 'pause');
+            modal.close();
+
+            expect(modal.isOpen).toBe(false);
+            expect(modal.project).toBeNull();
+            expect(modal.modal.classList.contains('active')).toBe(false);
+            expect(modal.modal.getAttribute('aria-hidden')).toBe('true');
+            expect(document.body.style.overflow).toBe('');
+            expect(pause).toHaveBeenCalled();
+            expect(back).toHaveBeenCalledTimes(1);
+            expect(modal.pushedHistory).toBe(false);
+            expect(closed).toHaveBeenCalledTimes(1);
+        });
+
+        it('drops the route of a shared link without going back', () => {
+            const back = vi.spyOn(window.history, 'back');
+            window.history.replaceState(null, '', '#/projects/beta');
+            modal.open(beta, { fromHistory: true });
+            modal.close();
+
+            expect(back).not.toHaveBeenCalled();
+            expect(window.location.hash).toBe('');
+        });
+
+        it('leaves the URL alone when closed from it', () => {
+            const back = vi.spyOn(window.history, 'back');
+            modal.open(alpha);
+            modal.close({ fromHistory: true });
+
+            expect(back).not.toHaveBeenCalled();
+            expect(window.location.hash).toBe('#/projects/alpha');
+        });
+
+        it('does nothing when already closed', () => {
+            const closed = vi.fn();
+            document.addEventListener('projectModal:close', closed);
+            modal.close();
+
+            expect(closed).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('previous and next', () => {
+        it('walk the sequence, wrapping around at both ends', () => {
+            modal.open(alpha);
+            modal.next();
+            expect(modal.project).toBe(beta);
+            modal.next();
+            modal.next();
+            expect(modal.project).toBe(alpha);
+            modal.previous();
+            expect(modal.project).toBe(gamma);
+        });
+
+        it('are wired to the pager buttons', () => {
+            modal.open(alpha);
+            modal.nextButton.click();
+            expect(modal.project).toBe(beta);
+            modal.prevButton.click();
+            expect(modal.project).toBe(alpha);
+        });
+    });
+
+    describe('step', () => {
+        it('moves by the offset', () => {
+            modal.open(beta);
+            modal.step(-1);
+            expect(modal.project).toBe(alpha);
+        });
+
+        it('stays put when the project is not in the sequence', () => {
+            sequence = [beta, gamma];
+            modal.open(alpha);
+            modal.step(1);
+            expect(modal.project).toBe(alpha);
+        });
+
+        it('stays put when there is nothing to move to', () => {
+            sequence = [alpha];
+            modal.open(alpha);
+            modal.step(1);
+            expect(modal.project).toBe(alpha);
+        });
+    });
+
+    describe('getPosition', () => {
+        it('finds the open project in the sequence', () => {
+            modal.open(gamma);
+            expect(modal.getPosition()).toEqual({ projects: sequence, index: 2 });
+        });
+
+        it('reports -1 for a project outside it', () => {
+            sequence = [beta];
+            modal.open(alpha);
+            expect(modal.getPosition().index).toBe(-1);
+        });
+    });
+
+    describe('updatePager', () => {
+        it('shows the position and names the neighbours', () => {
+            modal.open(alpha);
+
+            expect(modal.pager.hidden).toBe(false);
+            expect(modal.positionElement.textContent).toBe(window.i18n.t('modal.position', { current: 1, total: 3 }));
+            expect(modal.prevButton.getAttribute('aria-label')).toBe(window.i18n.t('modal.previousTo', { title: 'Gamma' }));
+            expect(modal.nextButton.getAttribute('aria-label')).toBe(window.i18n.t('modal.nextTo', { title: 'Beta' }));
+        });
+
+        it('hides the pager when there is nowhere to go', () => {
+            sequence = [alpha];
+            modal.open(alpha);
+            expect(modal.pager.hidden).toBe(true);
+
+            sequence = [beta, gamma];
+            modal.open(alpha, { fromHistory: true });
+            modal.updatePager();
+            expect(modal.pager.hidden).toBe(true);
+        });
+
+        it('preloads the neighbours', () => {
+            const preload = vi.spyOn(modal, 'preloadMedia');
+            modal.open(alpha);
+            expect(preload.mock.calls).toEqual([[gamma], [beta]]);
+        });
+    });
+
+    describe('preloadMedia', () => {
+        let images;
+
+        beforeEach(() => {
+            images = [];
+            window.Image = class {
+                constructor() {
+                    images.push(this);
+                }
+            };
+        });
+
+        it('loads the first image with the candidates the gallery uses', () => {
+            modal.preloadMedia(alpha);
+
+            expect(images).toHaveLength(1);
+            expect(images[0]).toMatchObject({
+                src: '/media/alpha.png',
+                srcset: alpha.media[0].srcset,
+                sizes: window.MediaGallery.defaultOptions.sizes
+            });
+        });
+
+        it('loads the poster of a video', () => {
+            modal.preloadMedia(beta);
+            expect(images.map(image => image.src)).toEqual(['/media/beta.jpg']);
+        });
+
+        it('loads each item once and skips projects without media', () => {
+            modal.preloadMedia(alpha);
+            modal.preloadMedia(alpha);
+            modal.preloadMedia(gamma);
+            expect(images).toHaveLength(1);
+        });
+    });
+
+    describe('pushRoute', () => {
+        it('skips projects without a slug', () => {
+            modal.pushRoute({ title: 'No slug' });
+            expect(window.location.hash).toBe('');
+        });
+
+        it('does not push the route the URL already has', () => {
+            window.history.replaceState(null, '', '#/projects/alpha');
+            const { length } = window.history;
+            modal.pushRoute(alpha);
+
+            expect(window.history.length).toBe(length);
+            expect(modal.pushedHistory).toBe(false);
+        });
+
+        it('does nothing with updateHistory off', () => {
+            modal.options.updateHistory = false;
+            modal.open(alpha);
+            expect(window.location.hash).toBe('');
+        });
+    });
+
+    describe('popRoute', () => {
+        it('leaves URLs without a project route alone', () => {
+            const back = vi.spyOn(window.history, 'back');
+            window.history.replaceState(null, '', '#about');
+            modal.pushedHistory = true;
+            modal.popRoute();
+
+            expect(back).not.toHaveBeenCalled();
+            expect(window.location.hash).toBe('#about');
+        });
+    });
+
+    describe('updateContent', () => {
+        it('fills in the project', () => {
+            modal.updateContent(alpha);
+
+            expect(modal.titleElement.textContent).toBe('Alpha');
+            expect(modal.descriptionElement.textContent).toBe('The first project');
+            expect(Array.from(modal.technologiesElement.querySelectorAll('.tech-list li'), item => item.textContent))
+                .toEqual(['Node.js', 'Express']);
+            expect(modal.mediaElement.querySelector('img').getAttribute('src')).toBe('/media/alpha.png');
+            expect(modal.modal.classList.contains('has-media')).toBe(true);
+        });
+
+        it('links to the project and its code', () => {
+            modal.updateContent(alpha);
+
+            expect(modal.projectLink.href).toBe('https://example.com/alpha');
+            expect(modal.projectLink.style.display).toBe('inline-block');
+            expect(modal.codeLink.href).toBe('https://github.com/example/alpha');
+            expect(modal.codeLink.style.display).toBe('inline-block');
+        });
+
+        it('hides the links when the project has no URLs', () => {
+            modal.updateContent(alpha);
+            modal.updateContent(gamma);
+
+            expect(modal.projectLink.style.display).toBe('none');
+            expect(modal.codeLink.style.display).toBe('none');
+        });
+
+        it('clears the previous project', () => {
+            modal.updateContent(alpha);
+            const destroy = vi.spyOn(modal.gallery, 'destroy');
+            modal.updateContent(gamma);
+
+            expect(destroy).toHaveBeenCalled();
+            expect(modal.technologiesElement.children).toHaveLength(0);
+            expect(modal.mediaElement.hidden).toBe(true);
+            expect(modal.modal.classList.contains('has-media')).toBe(false);
+        });
+
+        it('leaves out an empty technology list', () => {
+            modal.updateContent(beta);
+            expect(modal.technologiesElement.children).toHaveLength(0);
+        });
+    });
+
+    describe('handleKeyDown', () => {
+        it('closes on Escape unless closeOnEsc is off', () => {
+            modal.open(alpha);
+            modal.options.closeOnEsc = false;
+            press(window, document.body, 'Escape');
+            expect(modal.isOpen).toBe(true);
+
+            modal.options.closeOnEsc = true;
+            press(window, document.body, 'Escape');
+            expect(modal.isOpen).toBe(false);
+        });
+
+        it('steps through the projects with the arrow keys', () => {
+            modal.open(alpha);
+
+            expect(press(window, document.body, 'ArrowRight').defaultPrevented).toBe(true);
+            expect(modal.project).toBe(beta);
+            press(window, document.body, 'ArrowLeft');
+            expect(modal.project).toBe(alpha);
+        });
+
+        it('leaves arrow keys that something else wants alone', () => {
+            const video = document.body.appendChild(document.createElement('video'));
+            modal.open(alpha);
+
+            expect(press(window, document.body, 'ArrowRight', { ctrlKey: true }).defaultPrevented).toBe(false);
+            expect(press(window, video, 'ArrowRight').defaultPrevented).toBe(false);
+            const handled = new window.KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true, cancelable: true });
+            handled.preventDefault();
+            document.body.dispatchEvent(handled);
+
+            expect(modal.project).toBe(alpha);
+        });
+
+        it('ignores keys while closed', () => {
+            expect(press(window, document.body, 'ArrowRight').defaultPrevented).toBe(false);
+            expect(press(window, document.body, 'Tab').defaultPrevented).toBe(false);
+            expect(modal.project).toBeNull();
+        });
+    });
+
+    describe('overlay and close button', () => {
+        it('close the dialog', () => {
+            modal.open(alpha);
+            modal.overlay.click();
+            expect(modal.isOpen).toBe(false);
+
+            modal.open(alpha);
+            modal.closeButton.click();
+            expect(modal.isOpen).toBe(false);
+        });
+
+        it('leave the overlay alone with closeOnOverlayClick off', () => {
+            modal.options.closeOnOverlayClick = false;
+            modal.open(alpha);
+            modal.overlay.click();
+            expect(modal.isOpen).toBe(true);
+        });
+    });
+
+    describe('getFocusableElements', () => {
+        it('leaves out hidden links and the hidden pager', () => {
+            sequence = [gamma];
+            modal.open(gamma);
+            expect(modal.getFocusableElements()).toEqual([modal.closeButton]);
+        });
+
+        it('lists the controls in order', () => {
+            modal.open(alpha);
+            expect(modal.getFocusableElements()).toEqual([
+                modal.closeButton,
+                modal.projectLink,
+                modal.codeLink,
+                modal.prevButton,
+                modal.nextButton
+            ]);
+        });
+    });
+
+    describe('trapFocus', () => {
+        it('lets Tab move between the controls in the dialog', () => {
+            modal.open(alpha);
+            modal.projectLink.focus();
+
+            expect(press(window, modal.projectLink, 'Tab').defaultPrevented).toBe(false);
+            expect(press(window, modal.projectLink, 'Tab', { shiftKey: true }).defaultPrevented).toBe(false);
+        });
+
+        it('wraps from the last control to the first and back', () => {
+            modal.open(alpha);
+            modal.nextButton.focus();
+            press(window, modal.nextButton, 'Tab');
+            expect(document.activeElement).toBe(modal.closeButton);
+
+            press(window, modal.closeButton, 'Tab', { shiftKey: true });
+            expect(document.activeElement).toBe(modal.nextButton);
+        });
+    });
+
+    describe('setBackgroundInert and releaseBackground', () => {
+        it('only release what they made inert', () => {
+            const aside = document.body.appendChild(document.createElement('aside'));
+            aside.setAttribute('inert', '');
+            modal.setBackgroundInert();
+
+            expect(document.getElementById('app').hasAttribute('inert')).toBe(true);
+            expect(modal.modal.hasAttribute('inert')).toBe(false);
+            expect(modal.inertElements.some(element => element.tagName === 'SCRIPT')).toBe(false);
+
+            modal.releaseBackground();
+            expect(document.getElementById('app').hasAttribute('inert')).toBe(false);
+            expect(aside.hasAttribute('inert')).toBe(true);
+            expect(modal.inertElements).toEqual([]);
+        });
+    });
+
+    describe('destroy', () => {
+        it('closes without touching the URL and removes the dialog', () => {
+            const back = vi.spyOn(window.history, 'back');
+            modal.open(alpha);
+            const destroy = vi.spyOn(modal.gallery, 'destroy');
+            modal.destroy();
+
+            expect(modal.isOpen).toBe(false);
+            expect(back).not.toHaveBeenCalled();
+            expect(window.location.hash).toBe('#/projects/alpha');
+            expect(destroy).toHaveBeenCalled();
+            expect(modal.modal.isConnected).toBe(false);
+        });
+    });
+
+    it('runs without errors', () => {
+        modal.open(alpha);
+        modal.next();
+        modal.close();
+        expect(window.errors).toEqual([]);
+    });
+});
+
+describe('project catalog', () => {
+    const CATALOG_BLOCK = /<script type="application\/json" id="project-catalog">[\s\S]*?<\/script>/;
+
+    /**
+     * The home page with its embedded catalog replaced
+     * @param {string|null} json - Contents of the block, or null to leave the block out
+     */
+    async function homePageWith(json) {
+        const html = await renderHomePage();
+        return html.replace(CATALOG_BLOCK, json === null ? '' : `<script type="application/json" id="project-catalog">${json}</script>`);
+    }
+
+    /**
+     * Open the first card and check the modal shows what the card does
+     * @param {Window} window
+     */
+    function expectCardsToOpen(window) {
+        const card = window.document.querySelector('.project-card');
+        card.click();
+        expect(window.projectModal.isOpen).toBe(true);
+        expect(window.projectModal.titleElement.textContent).toBe(card.querySelector('h3').textContent);
+        expect(Array.from(window.projectModal.technologiesElement.querySelectorAll('li'), item => item.textContent))
+            .toEqual(Array.from(card.querySelectorAll('.project-tech li'), item => item.textContent));
+    }
+
+    it('reads the catalog from the page without a request', async () => {
+        const fetch = vi.fn();
+        const window = await loadPage(await renderHomePage(), { scripts: HOME_SCRIPTS, fetch });
+        await catalogLoaded(window);
+
+        expect(fetch).not.toHaveBeenCalled();
+        expect(window.projectCatalog.projects)
+            .toEqual(JSON.parse(window.document.getElementById('project-catalog').textContent).projects);
+        expectCardsToOpen(window);
+        expect(window.errors).toEqual([]);
+    });
+
+    it('fetches the catalog on pages without it', async () => {
+        const window = await loadPage(await homePageWith(null), { scripts: HOME_SCRIPTS, fetch: await projectsApi() });
+        await catalogLoaded(window);
+
+        expect(window.projectCatalog.projects.map(project => project.slug))
+            .toEqual(Array.from(window.document.querySelectorAll('.project-card'), card => card.dataset.slug));
+        expectCardsToOpen(window);
+    });
+
+    it.each([
+        ['is malformed', '{"projects": [{"slug": "dreed-prototype", "technologies": ["Python",'],
+        ['is not a list', '{"projects": {"technologies": "Python"}}']
+    ])('binds the cards to what they show when the catalog %s', async (name, json) => {
+        const window = await loadPage(await homePageWith(json), { scripts: HOME_SCRIPTS });
+        await catalogLoaded(window);
+
+        const cards = window.document.querySelectorAll('.project-card');
+        expect(window.projectCatalog.projects.map(project => project.slug))
+            .toEqual(Array.from(cards, card => card.dataset.slug));
+        expect(cards[0].getAttribute('role')).toBe('button');
+        expectCardsToOpen(window);
+        expect(window.errors).toEqual([]);
+    });
+
+    it('binds the cards when the request fails', async () => {
+        const offline = async () => {
+            throw new TypeError('Failed to fetch');
+        };
+        const window = await loadPage(await homePageWith(null), { scripts: HOME_SCRIPTS, fetch: offline });
+        await catalogLoaded(window);
+
+        expect(window.projectCatalog.projects.length).toBe(window.document.querySelectorAll('.project-card').length);
+        expectCardsToOpen(window);
+    });
+});
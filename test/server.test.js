@@ -0,0 +1,556 @@
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import request from 'supertest';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createApp } from '../lib/app.js';
+import { requireAdmin } from '../lib/auth.js';
+import { createRateLimiter } from '../lib/contact.js';
+import { toIncomingMessage } from '../lib/azure-functions-adapter.js';
+import { getTranslator } from '../lib/i18n.js';
+import { createLogger } from '../lib/logger.js';
+import { getProjects } from '../lib/projects.js';
+import { renderDocument } from '../lib/render.js';
+
+// Pages link their assets by source path, as in test/helpers/page.js, so no build is needed
+vi.mock('../lib/assets.js', async importOriginal => ({
+    ...await importOriginal(),
+    getAssetManifest: async () => new Proxy({}, { get: (manifest, source) => source })
+}));
+
+// Lets a test make a route fail
+vi.mock('../lib/render.js', async importOriginal => {
+    const render = await importOriginal();
+    return { ...render, renderDocument: vi.fn(render.renderDocument) };
+});
+
+// Captures the handler api/index.js registers instead of starting a Functions host
+vi.mock('@azure/functions', () => ({ app: { http: vi.fn() } }));
+
+// api/index.js imports the copy of lib/ the build puts next to it
+vi.mock('../api/lib/app.js', () => import('../lib/app.js'));
+vi.mock('../api/lib/azure-functions-adapter.js', () => import('../lib/azure-functions-adapter.js'));
+
+// A public directory with one file of each kind the static handler treats differently
+const PUBLIC_FILES = {
+    'sw.js': 'self.addEventListener("fetch", () => {});',
+    'manifest.json': '{}',
+    'offline.html': '<!DOCTYPE html><title>Offline</title>',
+    'favicon.ico': '',
+    'images/logo.svg': '<svg xmlns="http://www.w3.org/2000/svg"></svg>',
+    'images/photo.png': '',
+    'static/js/main.AB12CD34.min.js': 'console.log("main");',
+    'static/css/styles.AB12CD34.min.css': 'body{}'
+};
+
+const oneYear = 31536000;
+
+describe('server', () => {
+    let publicDir;
+    let app;
+    let projects;
+
+    beforeAll(async () => {
+        publicDir = await mkdtemp(path.join(os.tmpdir(), 'portfolio-public-'));
+        for (const [file, contents] of Object.entries(PUBLIC_FILES)) {
+            await mkdir(path.dirname(path.join(publicDir, file)), { recursive: true });
+            await writeFile(path.join(publicDir, file), contents);
+        }
+        app = createApp({ publicDir, logger: createLogger({ level: 'silent' }) });
+        projects = await getProjects();
+    });
+
+    afterAll(async () => {
+        await rm(publicDir, { recursive: true, force: true });
+    });
+
+    describe('cache headers', () => {
+        it.each([
+            ['/sw.js', 'no-cache'],
+            ['/manifest.json', 'no-cache'],
+            ['/offline.html', 'public, max-age=0'],
+            ['/images/logo.svg', `public, max-age=${oneYear}, immutable`],
+            ['/favicon.ico', `public, max-age=${oneYear}, immutable`],
+            ['/static/js/main.AB12CD34.min.js', `public, max-age=${oneYear}, immutable`],
+            ['/static/css/styles.AB12CD34.min.css', `public, max-age=${oneYear}, immutable`],
+            ['/images/photo.png', `public, max-age=${oneYear}`]
+        ])('serves %s with Cache-Control: %s', async (file, cacheControl) => {
+            const response = await request(app).get(file);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['cache-control']).toBe(cacheControl);
+        });
+
+        it('serves SVG and icons with their media types', async () => {
+            expect((await request(app).get('/images/logo.svg')).headers['content-type']).toBe('image/svg+xml');
+            expect((await request(app).get('/favicon.ico')).headers['content-type']).toBe('image/x-icon');
+        });
+
+        it('never stores rendered pages', async () => {
+            const response = await request(app).get('/');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['cache-control']).toBe('no-cache, no-store, must-revalidate');
+            expect(response.headers.pragma).toBe('no-cache');
+            expect(response.headers.expires).toBe('0');
+        });
+
+        it('revalidates the project catalog and keeps the probes out of caches', async () => {
+            expect((await request(app).get('/api/projects')).headers['cache-control']).toBe('public, max-age=0, must-revalidate');
+            expect((await request(app).get('/healthz')).headers['cache-control']).toBe('no-store');
+        });
+    });
+
+    describe('security headers', () => {
+        const nonceOf = policy => /'nonce-([^']+)'/.exec(policy)[1];
+
+        it('allows the inline blocks of a page by a nonce', async () => {
+            const response = await request(app).get('/');
+            const policy = response.headers['content-security-policy'];
+            const nonce = nonceOf(policy);
+
+            expect(policy).toContain(`script-src 'self' 'nonce-${nonce}'`);
+            expect(policy).toContain(`style-src 'self' 'nonce-${nonce}'`);
+            expect(policy).toContain("script-src-attr 'none'");
+            expect(policy).toContain("frame-ancestors 'none'");
+            expect(policy).toContain("object-src 'none'");
+
+            const scriptNonces = [...response.text.matchAll(/<script nonce="([^"]+)"/g)].map(([, value]) => value);
+            expect(scriptNonces.length).toBeGreaterThan(0);
+            expect(new Set(scriptNonces)).toEqual(new Set([nonce]));
+            // Data blocks never run, so they go without
+            expect(response.text).toMatch(/<script type="application\/json" id="i18n-messages">/);
+        });
+
+        it('uses a fresh nonce for every response', async () => {
+            const [first, second] = await Promise.all([request(app).get('/'), request(app).get('/')]);
+            expect(nonceOf(first.headers['content-security-policy']))
+                .not.toBe(nonceOf(second.headers['content-security-policy']));
+        });
+
+        it('sends the policy with files and API responses too', async () => {
+            for (const url of ['/sw.js', '/api/message']) {
+                const response = await request(app).get(url);
+                expect(response.headers['content-security-policy']).toContain("default-src 'self'");
+            }
+        });
+
+        it('reports violations and sets the other helmet headers', async () => {
+            const response = await request(app).get('/');
+
+            expect(response.headers['content-security-policy']).toContain('report-uri /api/csp-report;report-to csp-endpoint');
+            expect(response.headers['reporting-endpoints']).toBe('csp-endpoint="/api/csp-report"');
+            expect(response.headers['strict-transport-security']).toBe(`max-age=${oneYear}; includeSubDomains; preload`);
+            expect(response.headers['x-frame-options']).toBe('DENY');
+            expect(response.headers['x-content-type-options']).toBe('nosniff');
+        });
+    });
+
+    describe('routing', () => {
+        it('renders the project pages', async () => {
+            const [project] = projects;
+            const response = await request(app).get(`/projects/${project.slug}`);
+
+            expect(response.status).toBe(200);
+            expect(response.type).toBe('text/html');
+            expect(response.text).toContain(project.title);
+        });
+
+        it('leaves the gallery out of the pages of projects without media', async () => {
+            const project = projects.find(item => item.media.length === 0);
+            const response = await request(app).get(`/projects/${project.slug}`);
+
+            expect(response.status).toBe(200);
+            expect(response.text).not.toContain('project-media');
+            // The link preview falls back to the profile picture
+            expect(response.text).toMatch(/<meta property="og:image" content="[^"]+">/);
+        });
+
+        it('redirects the old section paths to the home page', async () => {
+            const response = await request(app).get('/about');
+
+            expect(response.status).toBe(301);
+            expect(response.headers.location).toBe('/#about');
+        });
+
+        it('sends visitors on to their language', async () => {
+            const response = await request(app).get('/?ref=cv').set('Accept-Language', 'zu-ZA, en;q=0.5');
+
+            expect(response.status).toBe(302);
+            expect(response.headers.location).toBe('/zu?ref=cv');
+            expect(response.headers.vary).toContain('Accept-Language');
+            expect(response.headers.vary).toContain('Cookie');
+        });
+
+        it('answers unknown paths with the 404 page', async () => {
+            const response = await request(app).get('/no/such/page');
+
+            expect(response.status).toBe(404);
+            expect(response.type).toBe('text/html');
+            expect(response.headers['cache-control']).toBe('no-cache, no-store, must-revalidate');
+            expect(response.headers['content-language']).toBe('en');
+        });
+
+        it('answers unknown projects with the 404 page', async () => {
+            const response = await request(app).get('/projects/no-such-project');
+
+            expect(response.status).toBe(404);
+            expect(response.type).toBe('text/html');
+        });
+
+        it('renders the 404 page in the language of the path', async () => {
+            const response = await request(app).get('/af/no/such/page');
+
+            expect(response.status).toBe(404);
+            expect(response.headers['content-language']).toBe('af');
+            expect(response.text).toContain('<html lang="af">');
+        });
+
+        it('does not serve pages straight from the public directory', async () => {
+            const response = await request(app).get('/index.html');
+
+            expect(response.status).toBe(200);
+            expect(response.headers['cache-control']).toBe('no-cache, no-store, must-revalidate');
+        });
+
+        it('answers unknown API paths in JSON', async () => {
+            const response = await request(app).get('/api/nope');
+
+            expect(response.status).toBe(404);
+            expect(response.body).toEqual({ ok: false, error: 'Not found.' });
+        });
+    });
+
+    describe('errors', () => {
+        let logged;
+        let loggedApp;
+
+        beforeAll(() => {
+            logged = [];
+            const stream = { write: line => logged.push(JSON.parse(line)) };
+            loggedApp = createApp({ publicDir, logger: createLogger({ level: 'debug', stream }) });
+        });
+
+        const failures = () => logged.filter(entry => entry.msg !== 'request');
+
+        it('answers a malformed page path with the 404 page and no stack trace', async () => {
+            logged.length = 0;
+            const response = await request(loggedApp).get('/projects/%E0%A4%A');
+
+            expect(response.status).toBe(400);
+            expect(response.type).toBe('text/html');
+            expect(response.headers['cache-control']).toBe('no-cache, no-store, must-revalidate');
+            expect(response.text).toContain('class="error-code"');
+            expect(response.text).not.toMatch(/URIError|at .*\.js:\d+/);
+
+            expect(failures()).toEqual([expect.objectContaining({ level: 'warn', status: 400, error: { name: 'URIError' } })]);
+        });
+
+        it('answers a failing page with a plain error page', async () => {
+            logged.length = 0;
+            vi.mocked(renderDocument).mockRejectedValueOnce(new Error('Disk on fire'));
+            const response = await request(loggedApp).get('/cv.json');
+
+            expect(response.status).toBe(500);
+            expect(response.type).toBe('text/html');
+            expect(response.headers['cache-control']).toBe('no-cache, no-store, must-revalidate');
+            expect(response.text).toContain('Something went wrong');
+            expect(response.text).not.toContain('Disk on fire');
+
+            const [entry] = failures();
+            expect(entry).toMatchObject({ level: 'error', error: { name: 'Error', message: 'Disk on fire' } });
+            expect(entry.error.stack).toContain('Disk on fire');
+        });
+
+        it.each(['/api/contact', '/api/events', '/api/csp-report'])('keeps the body of a malformed post to %s out of the log', async (url) => {
+            logged.length = 0;
+            const response = await request(loggedApp).post(url).type('json').send('{"email":"someone@example.com",bad');
+
+            expect(response.status).toBe(400);
+            expect(response.body).toEqual({ ok: false, error: 'Something went wrong.' });
+
+            const [entry] = failures();
+            expect(entry).toMatchObject({ level: 'warn', status: 400, error: { name: 'SyntaxError', type: 'entity.parse.failed' } });
+            expect(JSON.stringify(logged)).not.toContain('someone@example.com');
+        });
+    });
+
+    describe('/api/contact', () => {
+        const message = { name: 'Thandi', email: 'thandi@example.com', message: 'Are you open to new projects?' };
+        let logDir;
+        let logPath;
+        let contactApp;
+
+        beforeEach(async () => {
+            logDir = await mkdtemp(path.join(os.tmpdir(), 'portfolio-contact-'));
+            logPath = path.join(logDir, 'messages.jsonl');
+            vi.stubEnv('CONTACT_LOG_PATH', logPath);
+            contactApp = createApp({ publicDir, logger: createLogger({ level: 'silent' }) });
+            vi.unstubAllEnvs();
+        });
+
+        afterEach(async () => {
+            await rm(logDir, { recursive: true, force: true });
+        });
+
+        it('stores a valid message', async () => {
+            const response = await request(contactApp).post('/api/contact').send({ ...message, name: '  Thandi  ' });
+
+            expect(response.status).toBe(202);
+            expect(response.body).toEqual({ ok: true });
+            const [line, ...rest] = (await readFile(logPath, 'utf8')).trim().split('\n');
+            expect(rest).toEqual([]);
+            expect(JSON.parse(line)).toEqual({ ...message, id: expect.any(String), receivedAt: expect.any(String) });
+        });
+
+        it('answers invalid fields with their errors in the language asked for', async () => {
+            const t = await getTranslator('zu');
+            const response = await request(contactApp)
+                .post('/api/contact')
+                .set('Accept-Language', 'zu')
+                .type('form')
+                .send({ name: '', email: 'not-an-email', message: 'Hi' });
+
+            expect(response.status).toBe(400);
+            expect(response.body).toEqual({
+                ok: false,
+                errors: {
+                    name: t('contact.errors.nameRequired'),
+                    email: t('contact.errors.emailInvalid'),
+                    message: t('contact.errors.messageTooShort', { min: 10 })
+                }
+            });
+            expect(response.body.errors.name).not.toBe((await getTranslator('en'))('contact.errors.nameRequired'));
+        });
+
+        it('pretends to accept what fills in the honeypot, without storing or counting it', async () => {
+            for (let i = 0; i < 10; i++) {
+                const response = await request(contactApp).post('/api/contact').send({ ...message, website: 'http://spam.example' });
+                expect(response.status).toBe(202);
+                expect(response.body).toEqual({ ok: true });
+            }
+            await expect(readFile(logPath, 'utf8')).rejects.toThrow();
+
+            expect((await request(contactApp).post('/api/contact').send(message)).status).toBe(202);
+        });
+
+        it('allows 5 messages per address, then asks to retry later', async () => {
+            for (let i = 0; i < 5; i++) {
+                expect((await request(contactApp).post('/api/contact').send(message)).status).toBe(202);
+            }
+
+            const response = await request(contactApp).post('/api/contact').send(message);
+            expect(response.status).toBe(429);
+            expect(response.body).toEqual({ ok: false, error: expect.any(String) });
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+            expect((await readFile(logPath, 'utf8')).trim().split('\n')).toHaveLength(5);
+        });
+
+        it('answers 503 while messages cannot be stored, logging it once', async () => {
+            // A file where the sink expects a directory, as on a read-only host
+            await writeFile(path.join(logDir, 'file'), '');
+            const logged = [];
+            const stream = { write: line => logged.push(JSON.parse(line)) };
+            vi.stubEnv('CONTACT_LOG_PATH', path.join(logDir, 'file', 'messages.jsonl'));
+            const failingApp = createApp({ publicDir, logger: createLogger({ level: 'warn', stream }) });
+            vi.unstubAllEnvs();
+
+            for (let i = 0; i < 2; i++) {
+                const response = await request(failingApp).post('/api/contact').send(message);
+                expect(response.status).toBe(503);
+                expect(response.body).toEqual({ ok: false, error: (await getTranslator('en'))('contact.failed') });
+            }
+            expect(logged.filter(entry => entry.msg !== 'request'))
+                .toEqual([expect.objectContaining({ level: 'error', msg: 'Could not store the message' })]);
+        });
+    });
+
+    describe('/api/csp-report', () => {
+        let logDir;
+        let logPath;
+        let reportApp;
+
+        const storedReports = async () => (await readFile(logPath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+        beforeEach(async () => {
+            logDir = await mkdtemp(path.join(os.tmpdir(), 'portfolio-csp-'));
+            logPath = path.join(logDir, 'csp-reports.jsonl');
+            vi.stubEnv('CSP_REPORT_LOG_PATH', logPath);
+            reportApp = createApp({ publicDir, logger: createLogger({ level: 'silent' }) });
+            vi.unstubAllEnvs();
+        });
+
+        afterEach(async () => {
+            await rm(logDir, { recursive: true, force: true });
+        });
+
+        it('stores a report-uri report', async () => {
+            const response = await request(reportApp)
+                .post('/api/csp-report')
+                .set('User-Agent', 'TestBrowser/1.0')
+                .type('application/csp-report')
+                .send(JSON.stringify({
+                    'csp-report': {
+                        'document-uri': 'https://example.com/',
+                        'blocked-uri': 'https://evil.example/x.js',
+                        'violated-directive': 'script-src-elem',
+                        'original-policy': "default-src 'self'",
+                        disposition: 'enforce',
+                        'line-number': 12
+                    }
+                }));
+
+            expect(response.status).toBe(204);
+            expect(response.text).toBe('');
+            expect(await storedReports()).toEqual([{
+                receivedAt: expect.any(String),
+                userAgent: 'TestBrowser/1.0',
+                documentUrl: 'https://example.com/',
+                blockedUrl: 'https://evil.example/x.js',
+                directive: 'script-src-elem',
+                disposition: 'enforce',
+                line: 12
+            }]);
+        });
+
+        it('stores the CSP violations of a Reporting API batch and drops the other reports', async () => {
+            const response = await request(reportApp)
+                .post('/api/csp-report')
+                .type('application/reports+json')
+                .send(JSON.stringify([
+                    {
+                        type: 'csp-violation',
+                        url: 'https://example.com/zu',
+                        body: {
+                            documentURL: 'https://example.com/zu',
+                            blockedURL: 'inline',
+                            effectiveDirective: 'style-src-attr',
+                            disposition: 'report',
+                            sample: 'color: red'
+                        }
+                    },
+                    { type: 'deprecation', url: 'https://example.com/', body: { id: 'UnloadHandler' } }
+                ]));
+
+            expect(response.status).toBe(204);
+            expect(await storedReports()).toEqual([expect.objectContaining({
+                documentUrl: 'https://example.com/zu',
+                blockedUrl: 'inline',
+                directive: 'style-src-attr',
+                disposition: 'report',
+                sample: 'color: red'
+            })]);
+        });
+
+        it('answers 204 without storing anything that is not a CSP report', async () => {
+            const response = await request(reportApp).post('/api/csp-report').send({ hello: 'world' });
+
+            expect(response.status).toBe(204);
+            await expect(readFile(logPath, 'utf8')).rejects.toThrow();
+        });
+
+        it('stores 100 reports per address a minute and drops the rest', async () => {
+            const report = { 'csp-report': { 'document-uri': 'https://example.com/', 'violated-directive': 'img-src' } };
+            for (let i = 0; i < 101; i++) {
+                const response = await request(reportApp).post('/api/csp-report').send(report);
+                expect(response.status).toBe(204);
+            }
+
+            expect(await storedReports()).toHaveLength(100);
+        });
+    });
+
+    describe('/api/message', () => {
+        it('says hello', async () => {
+            const response = await request(app).get('/api/message');
+
+            expect(response.status).toBe(200);
+            expect(response.type).toBe('application/json');
+            expect(response.body).toEqual({ message: 'Hello from the API!' });
+        });
+
+        it('only takes GET', async () => {
+            const response = await request(app).post('/api/message');
+
+            expect(response.status).toBe(405);
+            expect(response.headers.allow).toBe('GET');
+            expect(response.body).toEqual({ ok: false, error: 'Method not allowed.' });
+        });
+
+        it('is answered by the Azure Functions entry point', async () => {
+            vi.stubEnv('LOG_LEVEL', 'silent');
+            const { app: functions } = await import('@azure/functions');
+            await import('../api/index.js');
+            vi.unstubAllEnvs();
+
+            const [[name, { route, handler }]] = functions.http.mock.calls;
+            expect(name).toBe('index');
+            expect(route).toBe('{*path}');
+
+            const response = await handler(new Request('http://localhost/api/message'), { invocationId: 'test-invocation' });
+            const headers = Object.fromEntries(response.headers);
+            expect(response.status).toBe(200);
+            expect(headers['content-type']).toMatch(/^application\/json/);
+            expect(headers['x-request-id']).toBe('test-invocation');
+            expect(JSON.parse(response.body.toString())).toEqual({ message: 'Hello from the API!' });
+        });
+    });
+
+    describe('admin authentication', () => {
+        const adminApp = () => express().get('/admin', requireAdmin({
+            password: 'secret',
+            rateLimiter: createRateLimiter({ limit: 2 })
+        }), (req, res) => res.send('stats'));
+
+        it('does not count the right password against the limit', async () => {
+            const admin = adminApp();
+            for (let i = 0; i < 5; i++) {
+                const response = await request(admin).get('/admin').auth('admin', 'secret');
+                expect(response.status).toBe(200);
+            }
+        });
+
+        it('refuses every password once too many were wrong', async () => {
+            const admin = adminApp();
+            expect((await request(admin).get('/admin').auth('admin', 'guess')).status).toBe(401);
+            expect((await request(admin).get('/admin').auth('admin', 'guess')).status).toBe(401);
+
+            const response = await request(admin).get('/admin').auth('admin', 'secret');
+            expect(response.status).toBe(429);
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+        });
+
+        it('shows the stats in the colors of the theme in use', async () => {
+            vi.stubEnv('ADMIN_PASSWORD', 'secret');
+            vi.stubEnv('ANALYTICS_LOG_PATH', path.join(publicDir, 'no-events.jsonl'));
+            const statsApp = createApp({ publicDir, logger: createLogger({ level: 'silent' }) });
+            vi.unstubAllEnvs();
+
+            const response = await request(statsApp).get('/admin/stats').auth('admin', 'secret');
+
+            expect(response.status).toBe(200);
+            expect(response.text).toContain('<link rel="stylesheet" href="/static/css/theme.css">');
+            expect(response.text).toMatch(/<script nonce="[^"]+">[^<]*localStorage\.getItem\('theme'\)/);
+            const [, styles] = /<style[^>]*>([^<]*)<\/style>/.exec(response.text);
+            expect(styles).toContain('var(--color-primary)');
+            expect(styles).not.toMatch(/#[0-9a-f]{3,6}\b|rgba?\(\d/i);
+        });
+    });
+
+    describe('Azure Functions adapter', () => {
+        it('takes the client address from the entry the platform appended to X-Forwarded-For', async () => {
+            const req = await toIncomingMessage(new Request('http://localhost/api/message', {
+                headers: { 'X-Forwarded-For': '192.0.2.1, 198.51.100.7, 203.0.113.9' }
+            }));
+
+            expect(req.socket.remoteAddress).toBe('203.0.113.9');
+        });
+
+        it('falls back to the loopback address without X-Forwarded-For', async () => {
+            const req = await toIncomingMessage(new Request('http://localhost/api/message'));
+
+            expect(req.socket.remoteAddress).toBe('127.0.0.1');
+        });
+    });
+});
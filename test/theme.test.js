@@ -0,0 +1,39 @@
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import { loadPage, renderHomePage } from './helpers/page.js';
+
+/**
+ * Load the home page, with a saved theme in storage before the inline theme script runs
+ * @param {string} [saved]
+ * @returns {Promise<Window>}
+ */
+async function homeWithTheme(saved) {
+    const html = await renderHomePage();
+    const setup = saved ? `<script>localStorage.setItem('theme', '${saved}');</script>` : '';
+    return loadPage(html.replace('<head>', `<head>${setup}`));
+}
+
+describe('inline theme script', () => {
+    it('follows the system theme without a saved choice', async () => {
+        const { document } = await homeWithTheme();
+
+        expect(document.documentElement.dataset.theme).toBe('dark');
+        expect(document.documentElement.dataset.accent).toBe('green');
+        expect(document.querySelector('meta[name="theme-color"]').content).toBe('#0d0208');
+    });
+
+    it('applies the saved theme and its browser color before the stylesheets load', async () => {
+        const { document } = await homeWithTheme('light');
+
+        expect(document.documentElement.dataset.theme).toBe('light');
+        expect(document.querySelector('meta[name="theme-color"]').content).toBe('#f4f7f5');
+    });
+
+    it('uses the backgrounds from theme.css', () => {
+        const css = readFileSync(new URL('../static/css/theme.css', import.meta.url), 'utf8');
+        const background = selector => new RegExp(`${selector} \\{[^}]*--color-dark: (#[0-9a-f]+);`).exec(css)[1];
+
+        expect(background(':root')).toBe('#0d0208');
+        expect(background(':root\\[data-theme="light"\\]')).toBe('#f4f7f5');
+    });
+});
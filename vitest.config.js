@@ -0,0 +1,10 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    test: {
+        include: ['test/**/*.test.js'],
+        // Each test builds its own jsdom window, see test/helpers/page.js
+        environment: 'node',
+        testTimeout: 20000
+    }
+});